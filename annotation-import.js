@@ -0,0 +1,393 @@
+// Annotation import for LapBook
+// Parses highlights and notes exported by other readers - Kindle's
+// "My Clippings.txt", calibre annotation JSON and KOReader's metadata.*.lua
+// sidecars - into one shape the renderer can match to books and re-anchor:
+//   { format, title, author, identifiers: [], annotations: [{ text, note, color, created, chapter, spineIndex, location }] }
+const fs = require('fs');
+const path = require('path');
+
+const KINDLE_SEPARATOR = /\r?\n==========\r?\n?/;
+
+/**
+ * Split a Kindle title line ("Title (Author)") into title and author
+ */
+function splitKindleTitle(line) {
+  const match = line.match(/^(.*\S)\s*\(([^()]*)\)\s*$/);
+  return match ? { title: match[1], author: match[2] } : { title: line, author: null };
+}
+
+/**
+ * Parse the date at the end of a Kindle metadata line ("... | Added on Monday, March 2, 2020 8:14:05 PM")
+ * @returns {string|null} ISO date, null when it isn't in a format Date understands
+ */
+function parseKindleDate(metaLine) {
+  const added = metaLine.split('|').pop().replace(/^\s*Added on\s*/i, '').replace(/^[A-Za-z]+,\s*/, '');
+  const time = Date.parse(added);
+  return Number.isNaN(time) ? null : new Date(time).toISOString();
+}
+
+function normalizeSpace(text) {
+  return text.replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Whether two Kindle clippings cover the same place in the book
+ * Location ranges must overlap or touch; clippings with only a page (PDFs) must share it.
+ */
+function clippingsOverlap(a, b) {
+  if (a.start !== null && b.start !== null) {
+    return a.start <= b.end && b.start <= a.end;
+  }
+  return a.page !== null && a.page === b.page;
+}
+
+/**
+ * Parse Kindle's "My Clippings.txt"
+ * Notes are attached to the highlight ending at the note's location. Kindle
+ * keeps the old clipping when a highlight is extended, so a clipping at the
+ * same place whose text contains an earlier one's replaces it. Locations are
+ * too coarse to tell highlights apart, so every other clipping is kept.
+ * @returns {Array<Object>} One entry per book
+ */
+function parseKindleClippings(text) {
+  const books = new Map();
+
+  text.split(KINDLE_SEPARATOR).forEach(clipping => {
+    const lines = clipping.replace(/\uFEFF/g, '').split(/\r?\n/);
+    while (lines.length > 0 && !lines[0].trim()) lines.shift();
+    if (lines.length < 2) return;
+
+    const header = lines[0].trim();
+    const meta = lines[1];
+    const body = lines.slice(2).join('\n').trim();
+    if (!body || /Your Bookmark/i.test(meta)) return;
+
+    const { title, author } = splitKindleTitle(header);
+    if (!books.has(header)) {
+      books.set(header, { format: 'kindle', title, author, identifiers: [], highlights: [], notes: [] });
+    }
+    const book = books.get(header);
+
+    const location = meta.match(/Location (\d+)(?:-(\d+))?/i);
+    const page = meta.match(/page (\d+)/i);
+    const clip = {
+      text: body,
+      created: parseKindleDate(meta),
+      start: location ? Number(location[1]) : null,
+      end: location ? Number(location[2] || location[1]) : null,
+      page: page ? Number(page[1]) : null,
+      location: location ? `Location ${location[0].replace(/^Location /i, '')}` : (page ? `Page ${page[1]}` : null)
+    };
+
+    if (/Your Note/i.test(meta)) {
+      book.notes.push(clip);
+    } else {
+      const extended = book.highlights.findIndex(earlier => clippingsOverlap(clip, earlier) &&
+        normalizeSpace(clip.text).includes(normalizeSpace(earlier.text)));
+      if (extended !== -1) {
+        book.highlights[extended] = clip;
+      } else {
+        book.highlights.push(clip);
+      }
+    }
+  });
+
+  return [...books.values()].map(book => {
+    const annotations = book.highlights.map(clip => ({
+      text: clip.text,
+      note: '',
+      color: null,
+      created: clip.created,
+      chapter: null,
+      spineIndex: null,
+      location: clip.location,
+      start: clip.start,
+      end: clip.end
+    }));
+
+    book.notes.forEach(note => {
+      // Highlights extended after the note was written no longer end where it is
+      const highlight = annotations.find(a => a.end !== null && a.end === note.start) ||
+        annotations.find(a => a.end !== null && a.start <= note.start && note.start <= a.end);
+      if (highlight) {
+        highlight.note = highlight.note ? `${highlight.note}\n${note.text}` : note.text;
+      } else {
+        // A note without a highlight has nothing to anchor to - it's reported as such
+        annotations.push({ text: '', note: note.text, color: null, created: note.created, chapter: null, spineIndex: null, location: note.location });
+      }
+    });
+    annotations.forEach(annotation => {
+      delete annotation.start;
+      delete annotation.end;
+    });
+
+    return { format: book.format, title: book.title, author: book.author, identifiers: book.identifiers, annotations };
+  });
+}
+
+/**
+ * Parse calibre annotations: the viewer's exported .calibre_highlights file
+ * ({ type: 'calibre_highlights', highlights: [...] }) or a plain annotation list
+ * Neither names the book, so the file name is used as its title ("Title - Author").
+ */
+function parseCalibreAnnotations(data, fileName) {
+  const list = Array.isArray(data) ? data : (data && (data.highlights || data.annotations)) || [];
+  const name = path.basename(fileName).replace(/\.(calibre_highlights|json)$/i, '');
+  const [title, ...author] = name.split(' - ');
+
+  const annotations = list
+    .filter(a => a && a.type === 'highlight' && !a.removed && a.highlighted_text)
+    .map(a => ({
+      text: a.highlighted_text,
+      note: a.notes || '',
+      color: (a.style && a.style.which) || null,
+      created: a.timestamp || null,
+      chapter: Array.isArray(a.toc_family_titles) && a.toc_family_titles.length > 0
+        ? a.toc_family_titles[a.toc_family_titles.length - 1]
+        : null,
+      spineIndex: Number.isInteger(a.spine_index) ? a.spine_index : null,
+      location: a.spine_name || null
+    }));
+  if (annotations.length === 0) {
+    throw new Error('No annotations found');
+  }
+
+  return [{ format: 'calibre', title, author: author.join(' - ') || null, identifiers: [], annotations }];
+}
+
+/**
+ * Parse the Lua table KOReader writes to its sidecar files ("return { ... }")
+ * Supports the subset KOReader's serializer produces: tables, strings,
+ * numbers, booleans and nil, with [key] =, name = and positional entries.
+ */
+function parseLuaTable(source) {
+  let pos = 0;
+
+  const fail = (message) => {
+    throw new Error(`Invalid Lua at position ${pos}: ${message}`);
+  };
+
+  const skipSpace = () => {
+    for (;;) {
+      while (pos < source.length && /\s/.test(source[pos])) pos++;
+      if (!source.startsWith('--', pos)) return;
+      const longComment = source.slice(pos + 2).match(/^\[(=*)\[/);
+      if (longComment) {
+        const close = source.indexOf(`]${longComment[1]}]`, pos);
+        pos = close === -1 ? source.length : close + longComment[1].length + 2;
+      } else {
+        const newline = source.indexOf('\n', pos);
+        pos = newline === -1 ? source.length : newline + 1;
+      }
+    }
+  };
+
+  const parseLongString = () => {
+    const open = source.slice(pos).match(/^\[(=*)\[\n?/);
+    const close = `]${open[1]}]`;
+    const end = source.indexOf(close, pos + open[0].length);
+    if (end === -1) fail('unterminated long string');
+    const value = source.slice(pos + open[0].length, end);
+    pos = end + close.length;
+    return value;
+  };
+
+  const parseString = () => {
+    const quote = source[pos++];
+    let value = '';
+    while (pos < source.length && source[pos] !== quote) {
+      let char = source[pos++];
+      if (char === '\\') {
+        char = source[pos++];
+        const escapes = { n: '\n', t: '\t', r: '\r', a: '\x07', b: '\b', f: '\f', v: '\v', '\n': '\n' };
+        if (char === '\r') {
+          // Escaped Windows line break
+          if (source[pos] === '\n') pos++;
+          char = '\n';
+        } else if (char in escapes) {
+          char = escapes[char];
+        } else if (/\d/.test(char)) {
+          const digits = source.slice(pos - 1).match(/^\d{1,3}/)[0];
+          pos += digits.length - 1;
+          char = String.fromCharCode(Number(digits));
+        } else if (char === 'x') {
+          char = String.fromCharCode(parseInt(source.substr(pos, 2), 16));
+          pos += 2;
+        } else if (char === 'z') {
+          while (pos < source.length && /\s/.test(source[pos])) pos++;
+          char = '';
+        }
+      }
+      value += char;
+    }
+    if (pos >= source.length) fail('unterminated string');
+    pos++;
+    return value;
+  };
+
+  const parseTable = () => {
+    pos++; // {
+    const entries = [];
+    let nextIndex = 1;
+
+    for (;;) {
+      skipSpace();
+      if (source[pos] === '}') {
+        pos++;
+        break;
+      }
+
+      let key;
+      const name = source.slice(pos).match(/^([A-Za-z_]\w*)\s*=(?!=)/);
+      if (source[pos] === '[' && !/^\[=*\[/.test(source.slice(pos))) {
+        pos++;
+        key = parseValue();
+        skipSpace();
+        if (source[pos++] !== ']') fail('expected ]');
+        skipSpace();
+        if (source[pos++] !== '=') fail('expected =');
+      } else if (name) {
+        key = name[1];
+        pos += name[0].length;
+      } else {
+        key = nextIndex++;
+      }
+
+      entries.push([key, parseValue()]);
+      skipSpace();
+      if (source[pos] === ',' || source[pos] === ';') pos++;
+    }
+
+    // Tables keyed 1..n become arrays, everything else an object
+    const isArray = entries.every(([key], index) => key === index + 1);
+    if (isArray && entries.length > 0) {
+      return entries.map(([, value]) => value);
+    }
+    const table = {};
+    entries.forEach(([key, value]) => {
+      table[key] = value;
+    });
+    return table;
+  };
+
+  const parseValue = () => {
+    skipSpace();
+    const char = source[pos];
+    if (char === '{') return parseTable();
+    if (char === '"' || char === "'") return parseString();
+    if (char === '[') return parseLongString();
+
+    const literal = source.slice(pos).match(/^(true|false|nil)\b/);
+    if (literal) {
+      pos += literal[0].length;
+      return literal[0] === 'true' ? true : literal[0] === 'false' ? false : null;
+    }
+
+    const number = source.slice(pos).match(/^-?(0x[\da-f]+|\d*\.?\d+(e[+-]?\d+)?)/i);
+    if (number) {
+      pos += number[0].length;
+      return Number(number[0]);
+    }
+    return fail(`unexpected ${char === undefined ? 'end of file' : `'${char}'`}`);
+  };
+
+  skipSpace();
+  if (source.startsWith('return', pos)) pos += 'return'.length;
+  return parseValue();
+}
+
+/**
+ * Spine index from a KOReader xpointer ("/body/DocFragment[3]/body/p[5]/text().0")
+ */
+function getXPointerSpineIndex(xpointer) {
+  const match = typeof xpointer === 'string' && xpointer.match(/DocFragment\[(\d+)\]/);
+  return match ? Number(match[1]) - 1 : null;
+}
+
+function parseKOReaderDate(value) {
+  const time = typeof value === 'string' ? Date.parse(value.replace(' ', 'T')) : NaN;
+  return Number.isNaN(time) ? null : new Date(time).toISOString();
+}
+
+/**
+ * Parse a KOReader sidecar (metadata.epub.lua)
+ * Newer versions keep highlights in "annotations"; older ones in "highlight"
+ * (by page) with their notes on the matching "bookmarks" entry.
+ */
+function parseKOReaderMetadata(source, filePath) {
+  const data = parseLuaTable(source) || {};
+  const props = data.doc_props || data.stats || {};
+  const folder = path.basename(path.dirname(filePath)).replace(/\.sdr$/i, '');
+
+  let annotations;
+  if (data.annotations) {
+    annotations = Object.values(data.annotations)
+      .filter(a => a && a.text && a.pos0) // Bookmarks have no position range
+      .map(a => ({
+        text: a.text,
+        note: a.note || '',
+        color: a.color || null,
+        created: parseKOReaderDate(a.datetime),
+        chapter: a.chapter || null,
+        spineIndex: getXPointerSpineIndex(a.pos0),
+        location: a.pageno ? `Page ${a.pageno}` : null
+      }));
+  } else {
+    const bookmarks = Object.values(data.bookmarks || {});
+    annotations = [];
+    Object.entries(data.highlight || {}).forEach(([page, items]) => {
+      Object.values(items || {}).forEach(item => {
+        if (!item || !item.text) return;
+        const bookmark = bookmarks.find(b => b && b.highlighted && b.datetime === item.datetime);
+        // Without a note, the bookmark's text is KOReader's own "Page 12 … @ date" label
+        const note = bookmark && bookmark.text && !/^Page \d+ .* @ \d{4}-/.test(bookmark.text) ? bookmark.text : '';
+        annotations.push({
+          text: item.text,
+          note,
+          color: item.color || null,
+          created: parseKOReaderDate(item.datetime),
+          chapter: item.chapter || null,
+          spineIndex: getXPointerSpineIndex(item.pos0),
+          location: `Page ${page}`
+        });
+      });
+    });
+  }
+
+  return [{
+    format: 'koreader',
+    title: props.title || folder,
+    author: props.authors ? String(props.authors).split('\n').join(', ') : null,
+    identifiers: props.identifiers ? String(props.identifiers).split('\n').map(id => id.trim()).filter(Boolean) : [],
+    annotations
+  }];
+}
+
+/**
+ * Parse an annotation file, picking the parser from its name and contents
+ * @param {string} filePath - My Clippings.txt, calibre .json/.calibre_highlights or KOReader .lua
+ * @returns {Array<Object>} One entry per book found in the file
+ */
+function parseAnnotationFile(filePath) {
+  const text = fs.readFileSync(filePath, 'utf8');
+  const extension = path.extname(filePath).toLowerCase();
+
+  if (extension === '.lua') {
+    return parseKOReaderMetadata(text, filePath);
+  }
+  if (extension === '.json' || extension === '.calibre_highlights') {
+    return parseCalibreAnnotations(JSON.parse(text), filePath);
+  }
+  if (KINDLE_SEPARATOR.test(text)) {
+    return parseKindleClippings(text);
+  }
+  throw new Error('Not a Kindle, calibre or KOReader annotation file');
+}
+
+module.exports = {
+  parseAnnotationFile,
+  parseKindleClippings,
+  parseCalibreAnnotations,
+  parseKOReaderMetadata,
+  parseLuaTable
+};
@@ -0,0 +1,285 @@
+// Book identity service for LapBook
+// Every book gets one stable id derived from its content, shared by the
+// library entry, its highlights file and its cover image
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const JSZip = require('jszip');
+const { writeJsonAtomic } = require('./storage');
+
+/**
+ * Compute the SHA-256 hash of a file's contents
+ * Streams the file so large PDFs don't have to be held in memory twice
+ * @param {string} filePath - File to hash
+ * @returns {Promise<string>} Hex digest
+ */
+function computeFileHash(filePath) {
+  return new Promise((resolve, reject) => {
+    const hash = crypto.createHash('sha256');
+    const stream = fs.createReadStream(filePath);
+    stream.on('data', (chunk) => hash.update(chunk));
+    stream.on('end', () => resolve(hash.digest('hex')));
+    stream.on('error', reject);
+  });
+}
+
+/**
+ * Decode the XML entities that commonly appear in OPF metadata
+ */
+function decodeXmlEntities(text) {
+  return text
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&#(\d+);/g, (match, code) => String.fromCharCode(parseInt(code, 10)))
+    .replace(/&#x([0-9a-f]+);/gi, (match, code) => String.fromCharCode(parseInt(code, 16)))
+    .replace(/&amp;/g, '&');
+}
+
+/**
+ * Get the text of every Dublin Core element with the given name
+ * @param {string} opf - OPF package document
+ * @param {string} name - Element name without prefix (e.g. 'identifier')
+ * @returns {Array<{ attributes: string, text: string }>}
+ */
+function getDublinCoreElements(opf, name) {
+  const regex = new RegExp(`<(?:dc:)?${name}\\b([^>]*)>([\\s\\S]*?)</(?:dc:)?${name}>`, 'gi');
+  const elements = [];
+  let match;
+  while ((match = regex.exec(opf)) !== null) {
+    elements.push({
+      attributes: match[1],
+      text: decodeXmlEntities(match[2].replace(/<[^>]+>/g, ''))
+    });
+  }
+  return elements;
+}
+
+/**
+ * Open an EPUB and return its OPF package document
+ * @param {string|Buffer} source - EPUB file path or contents
+ * @returns {Promise<{ zip: JSZip, opfPath: string, opf: string }>}
+ */
+async function readPackageDocument(source) {
+  const data = typeof source === 'string' ? fs.readFileSync(source) : source;
+  const zip = await JSZip.loadAsync(data);
+
+  const containerFile = zip.file('META-INF/container.xml');
+  if (!containerFile) {
+    throw new Error('Not a valid EPUB: META-INF/container.xml is missing');
+  }
+
+  const container = await containerFile.async('string');
+  const rootfile = container.match(/<rootfile\b[^>]*full-path\s*=\s*["']([^"']+)["']/i);
+  if (!rootfile) {
+    throw new Error('Not a valid EPUB: no rootfile in container.xml');
+  }
+
+  const opfPath = decodeXmlEntities(rootfile[1]);
+  const opfFile = zip.file(opfPath);
+  if (!opfFile) {
+    throw new Error(`Not a valid EPUB: package document ${opfPath} is missing`);
+  }
+
+  return { zip, opfPath, opf: await opfFile.async('string') };
+}
+
+/**
+ * Read the identifying metadata of an EPUB package
+ * @param {string} filePath - EPUB file path
+ * @returns {Promise<Object>} { packageIdentifier, firstIdentifier, title, creator }
+ */
+async function readEpubIdentityInfo(filePath) {
+  const { opf } = await readPackageDocument(filePath);
+
+  const identifiers = getDublinCoreElements(opf, 'identifier');
+  const uniqueIdRef = opf.match(/<package\b[^>]*unique-identifier\s*=\s*["']([^"']+)["']/i);
+
+  // Prefer the identifier the package declares as unique
+  let packageIdentifier = null;
+  if (uniqueIdRef) {
+    const idPattern = uniqueIdRef[1].replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    const unique = identifiers.find(el => new RegExp(`\\bid\\s*=\\s*["']${idPattern}["']`).test(el.attributes));
+    if (unique) packageIdentifier = unique.text.trim();
+  }
+  if (!packageIdentifier && identifiers.length > 0) {
+    packageIdentifier = identifiers[0].text.trim();
+  }
+
+  const titles = getDublinCoreElements(opf, 'title');
+  const creators = getDublinCoreElements(opf, 'creator');
+
+  return {
+    packageIdentifier: packageIdentifier || null,
+    // Untrimmed first identifier, as epub.js reports it (used by legacy ids)
+    firstIdentifier: identifiers.length > 0 ? identifiers[0].text : null,
+    title: titles.length > 0 ? titles[0].text : null,
+    creator: creators.length > 0 ? creators[0].text : null
+  };
+}
+
+/**
+ * Compute the stable identity of a book file
+ * The id is the SHA-256 of the file hash plus the EPUB package identifier,
+ * so two editions sharing an identifier still get different ids
+ * @param {string} filePath - EPUB or PDF file path
+ * @returns {Promise<Object>} { id, fileHash, fileSize, packageIdentifier, legacyIds }
+ */
+async function getBookIdentity(filePath) {
+  const fileHash = await computeFileHash(filePath);
+  const fileSize = fs.statSync(filePath).size;
+  let info = null;
+
+  if (path.extname(filePath).toLowerCase() === '.epub') {
+    try {
+      info = await readEpubIdentityInfo(filePath);
+    } catch (error) {
+      console.warn('[Identity] Could not read EPUB package metadata:', error.message);
+    }
+  }
+
+  const packageIdentifier = info ? info.packageIdentifier : null;
+  const id = crypto.createHash('sha256')
+    .update(fileHash)
+    .update('\0')
+    .update(packageIdentifier || '')
+    .digest('hex')
+    .slice(0, 32); // 128 bits is plenty and keeps file names short
+
+  return {
+    id,
+    fileHash,
+    fileSize,
+    packageIdentifier,
+    legacyIds: info ? getLegacyHighlightIds(info) : []
+  };
+}
+
+/**
+ * Highlight file names used before content-hash identities
+ * (metadata identifier, or title + author when there was none)
+ */
+function getLegacyHighlightIds(info) {
+  const ids = [];
+  if (info.firstIdentifier) {
+    ids.push(info.firstIdentifier.replace(/[<>:"/\\|?*]/g, '_'));
+  } else {
+    const title = info.title || 'unknown';
+    const author = info.creator || 'unknown';
+    ids.push(`${title}-${author}`.replace(/[^a-zA-Z0-9]/g, '-').toLowerCase());
+  }
+  return ids;
+}
+
+/**
+ * Get the record of finished highlight migrations
+ * Kept in highlights/legacy/ so it isn't mistaken for a book's highlights file.
+ * @param {string} highlightsDir - userData/highlights
+ * @returns {Object} New ids each legacy id was copied to, by legacy id
+ */
+function readMigrationRecord(highlightsDir) {
+  const recordPath = path.join(highlightsDir, 'legacy', 'migrated.json');
+  try {
+    return fs.existsSync(recordPath) ? JSON.parse(fs.readFileSync(recordPath, 'utf8')) : {};
+  } catch (error) {
+    console.warn('[Identity] Could not read the highlight migration record:', error.message);
+    return {};
+  }
+}
+
+/**
+ * Legacy highlight file names that were already copied to a content-hash identity
+ * @param {string} highlightsDir - userData/highlights
+ * @returns {Set<string>}
+ */
+function getMigratedLegacyIds(highlightsDir) {
+  return new Set(Object.keys(readMigrationRecord(highlightsDir)));
+}
+
+/**
+ * Copy a legacy highlights file to the new identity
+ * If highlights already exist under the new id, both lists are merged.
+ * Each legacy id is copied to a given identity only once, so highlights
+ * deleted after the migration don't come back. The copy is taken from
+ * highlights/legacy/ when the file was already archived for another edition.
+ * @param {string} highlightsDir - userData/highlights
+ * @param {string} legacyId - Old file name (without .json)
+ * @param {string} newId - New book identity
+ * @returns {boolean} Whether anything was migrated
+ */
+function migrateHighlightsFile(highlightsDir, legacyId, newId) {
+  if (!legacyId || legacyId === newId) return false;
+
+  const record = readMigrationRecord(highlightsDir);
+  if ((record[legacyId] || []).includes(newId)) return false;
+
+  const legacyPath = [
+    path.join(highlightsDir, `${legacyId}.json`),
+    path.join(highlightsDir, 'legacy', `${legacyId}.json`)
+  ].find(candidate => fs.existsSync(candidate));
+  if (!legacyPath) return false;
+
+  const legacyHighlights = JSON.parse(fs.readFileSync(legacyPath, 'utf8'));
+  const newPath = path.join(highlightsDir, `${newId}.json`);
+  let merged = legacyHighlights;
+
+  if (fs.existsSync(newPath)) {
+    const existing = JSON.parse(fs.readFileSync(newPath, 'utf8'));
+    const existingIds = new Set(existing.map(h => h.id));
+    merged = existing.concat(legacyHighlights.filter(h => !existingIds.has(h.id)));
+  }
+
+  writeJsonAtomic(newPath, merged);
+
+  record[legacyId] = [...(record[legacyId] || []), newId];
+  fs.mkdirSync(path.join(highlightsDir, 'legacy'), { recursive: true });
+  writeJsonAtomic(path.join(highlightsDir, 'legacy', 'migrated.json'), record);
+
+  console.log(`[Identity] Migrated highlights ${legacyId} -> ${newId}`);
+  return true;
+}
+
+/**
+ * Move a migrated legacy highlights file into highlights/legacy/
+ * It is kept rather than deleted in case something went wrong, and because
+ * another edition that used to share the identifier still needs a copy.
+ */
+function archiveLegacyHighlights(highlightsDir, legacyId) {
+  const legacyPath = path.join(highlightsDir, `${legacyId}.json`);
+  if (!fs.existsSync(legacyPath)) return;
+
+  const legacyDir = path.join(highlightsDir, 'legacy');
+  fs.mkdirSync(legacyDir, { recursive: true });
+  fs.renameSync(legacyPath, path.join(legacyDir, `${legacyId}.json`));
+}
+
+/**
+ * Rename a cover image to the new identity
+ * @returns {string|null} New cover path, or null if there was no cover
+ */
+function migrateCoverFile(coversDir, legacyId, newId) {
+  if (!legacyId) return null;
+
+  const legacyPath = path.join(coversDir, `${legacyId}.jpg`);
+  const newPath = path.join(coversDir, `${newId}.jpg`);
+
+  if (legacyId !== newId && fs.existsSync(legacyPath) && !fs.existsSync(newPath)) {
+    fs.renameSync(legacyPath, newPath);
+    console.log(`[Identity] Migrated cover ${legacyId} -> ${newId}`);
+  }
+
+  return fs.existsSync(newPath) ? newPath : null;
+}
+
+module.exports = {
+  computeFileHash,
+  getBookIdentity,
+  readPackageDocument,
+  getDublinCoreElements,
+  decodeXmlEntities,
+  migrateHighlightsFile,
+  archiveLegacyHighlights,
+  getMigratedLegacyIds,
+  migrateCoverFile
+};
@@ -0,0 +1,443 @@
+// EPUB metadata for LapBook
+// Reads the descriptive metadata (publisher, series, ISBN, ...) from an
+// EPUB's OPF package document, including calibre's series extensions
+const fs = require('fs');
+const path = require('path');
+const JSZip = require('jszip');
+const { readPackageDocument, getDublinCoreElements, decodeXmlEntities } = require('./book-identity');
+
+const METADATA_REGEX = /(<(?:opf:)?metadata\b[^>]*>)([\s\S]*?)(<\/(?:opf:)?metadata>)/i;
+const META_ELEMENT_REGEX = /(\s*)<(?:opf:)?meta\b([^>]*?)(?:\/>|>([\s\S]*?)<\/(?:opf:)?meta>)/gi;
+const SERIES_ID = 'lapbook-series';
+const COVER_ID = 'lapbook-cover';
+
+/**
+ * Parse the attributes of an XML start tag
+ * @param {string} attributes - Attribute text, e.g. ' name="a" content="b"'
+ * @returns {Object} Attribute values by lowercase name
+ */
+function parseAttributes(attributes) {
+  const result = {};
+  const regex = /([\w:.-]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g;
+  let match;
+  while ((match = regex.exec(attributes)) !== null) {
+    result[match[1].toLowerCase()] = decodeXmlEntities(match[2] !== undefined ? match[2] : match[3]);
+  }
+  return result;
+}
+
+/**
+ * Get every <meta> element of the package metadata
+ * Covers both EPUB 2 (<meta name content/>) and EPUB 3 (<meta property>text</meta>)
+ * @returns {Array<{ attributes: Object, text: string }>}
+ */
+function getMetaElements(opf) {
+  const regex = new RegExp(META_ELEMENT_REGEX.source, 'gi');
+  const elements = [];
+  let match;
+  while ((match = regex.exec(opf)) !== null) {
+    elements.push({
+      attributes: parseAttributes(match[2]),
+      text: match[3] ? decodeXmlEntities(match[3].trim()) : ''
+    });
+  }
+  return elements;
+}
+
+/**
+ * Turn an HTML description into plain text with paragraph breaks
+ * Descriptions are often escaped HTML, so tags can appear after decoding.
+ */
+function htmlToText(html) {
+  return decodeXmlEntities(
+    html
+      .replace(/<br\s*\/?>/gi, '\n')
+      .replace(/<\/(p|div|li|h\d)>/gi, '\n\n')
+      .replace(/<[^>]+>/g, '')
+  )
+    .replace(/[ \t]+/g, ' ')
+    .replace(/\n[ \t]+/g, '\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
+
+/**
+ * Find an ISBN among the package identifiers
+ * @returns {string|null} ISBN digits (with a trailing X for some ISBN-10s)
+ */
+function findIsbn(identifiers) {
+  for (const identifier of identifiers) {
+    const attributes = parseAttributes(identifier.attributes);
+    const text = identifier.text.trim();
+    const isIsbn = /isbn/i.test(attributes['opf:scheme'] || attributes.scheme || '') || /^(urn:)?isbn:/i.test(text);
+    const digits = text.replace(/^(urn:)?isbn:/i, '').replace(/[\s-]/g, '');
+
+    if ((isIsbn || /^97[89]\d{10}$/.test(digits)) && /^(\d{13}|\d{9}[\dX])$/i.test(digits)) {
+      return digits.toUpperCase();
+    }
+  }
+  return null;
+}
+
+/**
+ * Parse a series position, keeping 0 (prequels, volume 0)
+ * @returns {number|null}
+ */
+function parseSeriesIndex(text) {
+  const value = parseFloat(text);
+  return Number.isFinite(value) ? value : null;
+}
+
+/**
+ * Read the series a book belongs to
+ * Uses EPUB 3 belongs-to-collection, falling back to calibre's meta tags
+ * @returns {{ series: string|null, seriesIndex: number|null }}
+ */
+function findSeries(metaElements) {
+  const collection = getSeriesCollections(metaElements).find(m => m.text);
+  if (collection) {
+    const refines = collection.attributes.id ? `#${collection.attributes.id}` : null;
+    const position = metaElements.find(m => refines && m.attributes.refines === refines &&
+      m.attributes.property === 'group-position');
+
+    return {
+      series: collection.text,
+      seriesIndex: position ? parseSeriesIndex(position.text) : null
+    };
+  }
+
+  const calibreSeries = metaElements.find(m => m.attributes.name === 'calibre:series');
+  if (calibreSeries && calibreSeries.attributes.content) {
+    const calibreIndex = metaElements.find(m => m.attributes.name === 'calibre:series_index');
+    return {
+      series: calibreSeries.attributes.content.trim(),
+      seriesIndex: calibreIndex ? parseSeriesIndex(calibreIndex.attributes.content) : null
+    };
+  }
+
+  return { series: null, seriesIndex: null };
+}
+
+/**
+ * EPUB 3 belongs-to-collection elements that describe a series
+ * Collections of type 'set' are also used for series by some publishers.
+ */
+function getSeriesCollections(metaElements) {
+  return metaElements.filter(m => {
+    if (m.attributes.property !== 'belongs-to-collection') return false;
+    const refines = m.attributes.id ? `#${m.attributes.id}` : null;
+    const type = metaElements.find(t => refines && t.attributes.refines === refines &&
+      t.attributes.property === 'collection-type');
+    return !type || type.text === 'series' || type.text === 'set';
+  });
+}
+
+/**
+ * Normalize a dc:date value to YYYY-MM-DD (or YYYY-MM / YYYY when that is all there is)
+ */
+function normalizeDate(text) {
+  const match = text.trim().match(/^(\d{4})(?:-(\d{2}))?(?:-(\d{2}))?/);
+  if (!match) return text.trim() || null;
+  return [match[1], match[2], match[3]].filter(Boolean).join('-');
+}
+
+/**
+ * Read the descriptive metadata of an EPUB
+ * @param {string|Buffer} source - EPUB file path or contents
+ * @returns {Promise<Object>} { title, author, publisher, language, description,
+ *   publishedDate, isbn, subjects, series, seriesIndex }
+ */
+async function readEpubMetadata(source) {
+  const { opf } = await readPackageDocument(source);
+  const metadataMatch = opf.match(/<(?:opf:)?metadata\b[\s\S]*?<\/(?:opf:)?metadata>/i);
+  const metadata = metadataMatch ? metadataMatch[0] : opf;
+
+  const texts = (name) => getDublinCoreElements(metadata, name)
+    .map(el => el.text.replace(/\s+/g, ' ').trim())
+    .filter(Boolean);
+  const first = (name) => texts(name)[0] || null;
+
+  // Prefer the publication date when several dates are given
+  const dates = getDublinCoreElements(metadata, 'date');
+  const publicationDate = dates.find(el => /publication/i.test(parseAttributes(el.attributes)['opf:event'] || '')) || dates[0];
+
+  const descriptions = getDublinCoreElements(metadata, 'description');
+  const creators = texts('creator');
+
+  return {
+    title: first('title'),
+    author: creators.length > 0 ? creators.join(', ') : null,
+    publisher: first('publisher'),
+    language: first('language'),
+    description: descriptions.length > 0 ? htmlToText(descriptions[0].text) || null : null,
+    publishedDate: publicationDate ? normalizeDate(publicationDate.text) : null,
+    isbn: findIsbn(getDublinCoreElements(metadata, 'identifier')),
+    subjects: [...new Set(texts('subject'))],
+    ...findSeries(getMetaElements(metadata))
+  };
+}
+
+/**
+ * Escape text for use in XML content or attribute values
+ */
+function escapeXml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+/**
+ * Add an element at the end of the metadata block, indented like the last line
+ */
+function appendMetadata(metadata, element) {
+  const indent = (metadata.match(/\n([ \t]*)<[^\n]*\s*$/) || [null, '    '])[1];
+  return metadata.replace(/\s*$/, (trailing) => `\n${indent}${element}${trailing}`);
+}
+
+/**
+ * Set the text of the first Dublin Core element with the given name, keeping its attributes
+ * Later elements (e.g. a subtitle) are left alone; an empty value removes only the first.
+ */
+function setDublinCoreElement(metadata, name, value) {
+  const regex = new RegExp(`(\\s*)<(dc:)?${name}\\b([^>]*)>[\\s\\S]*?</(?:dc:)?${name}>`, 'i');
+  if (!regex.test(metadata)) {
+    return value ? appendMetadata(metadata, `<dc:${name}>${escapeXml(value)}</dc:${name}>`) : metadata;
+  }
+
+  return metadata.replace(regex, (element, whitespace, prefix, attributes) => {
+    if (!value) return '';
+    return `${whitespace}<${prefix || ''}${name}${attributes}>${escapeXml(value)}</${prefix || ''}${name}>`;
+  });
+}
+
+/**
+ * Split an author list as joined by readEpubMetadata
+ * Names the file already has are matched whole, so "Doe, John" stays one author.
+ */
+function splitAuthors(author, knownNames) {
+  const authors = [];
+  let rest = author.trim();
+  while (rest) {
+    const known = knownNames.find(name => rest === name || rest.startsWith(`${name}, `));
+    const name = known || rest.split(', ')[0];
+    authors.push(name.trim());
+    rest = rest.slice(name.length).replace(/^,\s*/, '').trim();
+  }
+  return authors.filter(Boolean);
+}
+
+/**
+ * Write each author as its own dc:creator
+ * Existing creators are updated in order and keep their attributes and role metas;
+ * a renamed creator loses its file-as sort name, and removed creators take their
+ * refining metas with them.
+ */
+function setCreators(metadata, author) {
+  const regex = /(\s*)<(dc:)?creator\b([^>]*)>([\s\S]*?)<\/(?:dc:)?creator>/gi;
+  const existing = getDublinCoreElements(metadata, 'creator').map(el => el.text.replace(/\s+/g, ' ').trim());
+  const authors = author ? splitAuthors(author, existing) : [];
+  const renamedIds = [];
+  const removedIds = [];
+  let index = 0;
+
+  let updated = metadata.replace(regex, (element, whitespace, prefix, attributes) => {
+    const name = authors[index];
+    const id = parseAttributes(attributes).id;
+    const unchanged = name === existing[index];
+    index++;
+
+    if (!name) {
+      if (id) removedIds.push(`#${id}`);
+      return '';
+    }
+    if (unchanged) return element;
+
+    if (id) renamedIds.push(`#${id}`);
+    const kept = attributes.replace(/\s+opf:file-as\s*=\s*(?:"[^"]*"|'[^']*')/i, '');
+    return `${whitespace}<${prefix || ''}creator${kept}>${escapeXml(name)}</${prefix || ''}creator>`;
+  });
+
+  updated = updated.replace(new RegExp(META_ELEMENT_REGEX.source, 'gi'), (element, whitespace, attributeText) => {
+    const attributes = parseAttributes(attributeText);
+    if (removedIds.includes(attributes.refines)) return '';
+    if (renamedIds.includes(attributes.refines) && attributes.property === 'file-as') return '';
+    return element;
+  });
+
+  for (const name of authors.slice(index)) {
+    updated = appendMetadata(updated, `<dc:creator>${escapeXml(name)}</dc:creator>`);
+  }
+  return updated;
+}
+
+/**
+ * Replace the series information (EPUB 3 collection and calibre meta tags)
+ */
+function setSeries(metadata, series, seriesIndex, isEpub3) {
+  const metaElements = getMetaElements(metadata);
+  const collectionIds = getSeriesCollections(metaElements)
+    .map(m => m.attributes.id)
+    .filter(Boolean)
+    .map(id => `#${id}`);
+
+  // Remove the old series first
+  let updated = metadata.replace(new RegExp(META_ELEMENT_REGEX.source, 'gi'), (element, whitespace, attributeText) => {
+    const attributes = parseAttributes(attributeText);
+    const isSeriesMeta = attributes.name === 'calibre:series' || attributes.name === 'calibre:series_index' ||
+      (attributes.property === 'belongs-to-collection' && collectionIds.includes(`#${attributes.id}`)) ||
+      (attributes.property === 'belongs-to-collection' && !attributes.id) ||
+      collectionIds.includes(attributes.refines);
+    return isSeriesMeta ? '' : element;
+  });
+
+  if (!series) return updated;
+
+  if (isEpub3) {
+    updated = appendMetadata(updated, `<meta property="belongs-to-collection" id="${SERIES_ID}">${escapeXml(series)}</meta>`);
+    updated = appendMetadata(updated, `<meta refines="#${SERIES_ID}" property="collection-type">series</meta>`);
+    if (Number.isFinite(seriesIndex)) {
+      updated = appendMetadata(updated, `<meta refines="#${SERIES_ID}" property="group-position">${seriesIndex}</meta>`);
+    }
+  }
+
+  // calibre's tags are understood by most readers, for EPUB 2 and 3 alike
+  updated = appendMetadata(updated, `<meta name="calibre:series" content="${escapeXml(series)}"/>`);
+  if (Number.isFinite(seriesIndex)) {
+    updated = appendMetadata(updated, `<meta name="calibre:series_index" content="${seriesIndex}"/>`);
+  }
+  return updated;
+}
+
+/**
+ * Replace the cover image, or add one if the book has none
+ * A JPEG cover is overwritten in place. Any other format gets a new JPEG item,
+ * since readers go by the file extension; the old image stays in the manifest
+ * for pages that still show it.
+ * @param {JSZip} zip - Open EPUB
+ * @param {string} opfPath - Path of the package document in the zip
+ * @param {string} opf - Package document
+ * @param {Buffer} imageData - JPEG image
+ * @returns {string} Updated package document
+ */
+function setCoverImage(zip, opfPath, opf, imageData, isEpub3) {
+  const items = [];
+  const itemRegex = /<(?:opf:)?item\b([^>]*?)\/?>/gi;
+  let match;
+  while ((match = itemRegex.exec(opf)) !== null) {
+    items.push({ element: match[0], attributes: parseAttributes(match[1]) });
+  }
+
+  // EPUB 3 marks the cover in the manifest, EPUB 2 with <meta name="cover">
+  let coverItem = items.find(item => (item.attributes.properties || '').split(/\s+/).includes('cover-image'));
+  if (!coverItem) {
+    const coverMeta = getMetaElements(opf).find(m => m.attributes.name === 'cover');
+    if (coverMeta) {
+      coverItem = items.find(item => item.attributes.id === coverMeta.attributes.content);
+    }
+  }
+
+  const opfDir = path.posix.dirname(opfPath);
+  const resolve = (href) => path.posix.normalize(opfDir === '.' ? href : `${opfDir}/${href}`);
+
+  if (coverItem && coverItem.attributes.href) {
+    const isJpeg = coverItem.attributes['media-type'] === 'image/jpeg' && /\.jpe?g$/i.test(coverItem.attributes.href);
+    if (isJpeg) {
+      zip.file(resolve(decodeURIComponent(coverItem.attributes.href)), imageData);
+      return opf;
+    }
+
+    // Only one item may be the cover image
+    const updatedItem = coverItem.element.replace(/\s*\bproperties\s*=\s*(["'])([^"']*)\1/, (all, quote, value) => {
+      const properties = value.split(/\s+/).filter(p => p && p !== 'cover-image');
+      return properties.length > 0 ? ` properties=${quote}${properties.join(' ')}${quote}` : '';
+    });
+    opf = opf.replace(coverItem.element, updatedItem);
+  }
+
+  zip.file(resolve(`${COVER_ID}.jpg`), imageData);
+  const properties = isEpub3 ? ' properties="cover-image"' : '';
+  opf = opf.replace(/(\s*)(<\/(?:opf:)?manifest>)/i, (all, whitespace, closing) =>
+    `${whitespace}  <item id="${COVER_ID}" href="${COVER_ID}.jpg" media-type="image/jpeg"${properties}/>${whitespace}${closing}`);
+  return updateMetadataBlock(opf, metadata => {
+    const withoutCoverMeta = metadata.replace(new RegExp(META_ELEMENT_REGEX.source, 'gi'), (element, whitespace, attributeText) =>
+      parseAttributes(attributeText).name === 'cover' ? '' : element);
+    return appendMetadata(withoutCoverMeta, `<meta name="cover" content="${COVER_ID}"/>`);
+  });
+}
+
+/**
+ * Apply a change to the <metadata> block of a package document
+ */
+function updateMetadataBlock(opf, update) {
+  const match = opf.match(METADATA_REGEX);
+  if (!match) {
+    throw new Error('Not a valid EPUB: the package document has no metadata');
+  }
+  return opf.replace(METADATA_REGEX, () => match[1] + update(match[2]) + match[3]);
+}
+
+/**
+ * Write edited metadata into a copy of an EPUB
+ * Only fields that differ from the file are rewritten, so untouched metadata
+ * (e.g. several dc:creator elements) keeps its original markup.
+ * @param {string} filePath - EPUB to read
+ * @param {Object} changes - { title, author, description, series, seriesIndex, cover (JPEG Buffer) }
+ * @param {string} outputPath - Where to write the updated EPUB
+ * @returns {Promise<string[]>} Names of the fields that were written
+ */
+async function writeEpubMetadata(filePath, changes, outputPath) {
+  const current = await readEpubMetadata(filePath);
+  const { zip, opfPath, opf: originalOpf } = await readPackageDocument(filePath);
+  const isEpub3 = /<package\b[^>]*\bversion\s*=\s*["']3/i.test(originalOpf);
+  const written = [];
+
+  const differs = (key) => key in changes && (changes[key] || null) !== (current[key] || null);
+
+  let opf = updateMetadataBlock(originalOpf, (metadata) => {
+    if (differs('title')) {
+      metadata = setDublinCoreElement(metadata, 'title', changes.title);
+      written.push('title');
+    }
+    if (differs('author')) {
+      metadata = setCreators(metadata, changes.author);
+      written.push('author');
+    }
+    if (differs('description')) {
+      metadata = setDublinCoreElement(metadata, 'description', changes.description);
+      written.push('description');
+    }
+    if (differs('series') || differs('seriesIndex')) {
+      metadata = setSeries(metadata, changes.series, changes.seriesIndex, isEpub3);
+      written.push('series');
+    }
+    return metadata;
+  });
+
+  if (changes.cover) {
+    opf = setCoverImage(zip, opfPath, opf, changes.cover, isEpub3);
+    written.push('cover');
+  }
+
+  zip.file(opfPath, opf);
+
+  // Rebuild the archive with the uncompressed mimetype entry first, as EPUB requires
+  const output = new JSZip();
+  output.file('mimetype', 'application/epub+zip', { compression: 'STORE' });
+  for (const name of Object.keys(zip.files)) {
+    const entry = zip.files[name];
+    if (name === 'mimetype' || entry.dir) continue;
+    output.file(name, await entry.async('uint8array'), { date: entry.date });
+  }
+
+  const buffer = await output.generateAsync({ type: 'nodebuffer', compression: 'DEFLATE' });
+  fs.writeFileSync(outputPath, buffer);
+  return written;
+}
+
+module.exports = {
+  readEpubMetadata,
+  writeEpubMetadata
+};
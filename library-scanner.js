@@ -0,0 +1,112 @@
+// Library file scanner for LapBook
+// Finds book files on disk and matches them to library entries by content
+const fs = require('fs');
+const path = require('path');
+const { computeFileHash } = require('./book-identity');
+
+const BOOK_EXTENSIONS = ['.epub', '.pdf'];
+
+/**
+ * Check whether a path has a supported book extension
+ */
+function isBookFile(filePath) {
+  return BOOK_EXTENSIONS.includes(path.extname(filePath).toLowerCase());
+}
+
+/**
+ * Recursively list all EPUB and PDF files below a folder
+ * Symlinked folders are not followed to avoid loops
+ * @param {string} folder - Folder to scan
+ * @param {Function} onProgress - Optional, called with the number of files found so far
+ * @returns {Promise<string[]>} Absolute file paths
+ */
+async function findBookFiles(folder, onProgress = null) {
+  const results = [];
+  const pending = [folder];
+
+  while (pending.length > 0) {
+    const current = pending.pop();
+    let entries;
+    try {
+      entries = await fs.promises.readdir(current, { withFileTypes: true });
+    } catch (error) {
+      // Unreadable folders (permissions, removed while scanning) are skipped
+      console.warn('[Scanner] Could not read folder:', current, error.message);
+      continue;
+    }
+
+    for (const entry of entries) {
+      // Skip hidden and system folders such as .git or $RECYCLE.BIN
+      if (entry.name.startsWith('.') || entry.name.startsWith('$')) continue;
+
+      const fullPath = path.join(current, entry.name);
+      if (entry.isDirectory()) {
+        pending.push(fullPath);
+      } else if (entry.isFile() && isBookFile(fullPath)) {
+        results.push(fullPath);
+        if (onProgress && results.length % 50 === 0) {
+          onProgress(results.length);
+        }
+      }
+    }
+  }
+
+  return results;
+}
+
+/**
+ * Search a folder for files matching library entries by content hash
+ * Files are only hashed when their size (if known) and extension match,
+ * so large folders are searched quickly.
+ * Entries without a hash fall back to matching by file name.
+ * @param {string} folder - Folder to search
+ * @param {Array} books - Entries with { id, path, fileHash, fileSize }
+ * @returns {Promise<Object>} Map of book id -> { path, fileHash, fileSize }
+ */
+async function findBooksInFolder(folder, books) {
+  const files = await findBookFiles(folder);
+  const matches = {};
+  const remaining = books.filter(b => b.fileHash);
+
+  for (const filePath of files) {
+    if (remaining.length === 0) break;
+
+    const extension = path.extname(filePath).toLowerCase();
+    const candidates = remaining.filter(b => path.extname(b.path).toLowerCase() === extension);
+    if (candidates.length === 0) continue;
+
+    let stats;
+    try {
+      stats = await fs.promises.stat(filePath);
+    } catch (error) {
+      continue;
+    }
+
+    const sizeMatches = candidates.filter(b => !b.fileSize || b.fileSize === stats.size);
+    if (sizeMatches.length === 0) continue;
+
+    const fileHash = await computeFileHash(filePath);
+    const match = sizeMatches.find(b => b.fileHash === fileHash);
+    if (match) {
+      matches[match.id] = { path: filePath, fileHash, fileSize: stats.size };
+      remaining.splice(remaining.indexOf(match), 1);
+    }
+  }
+
+  // Books from before content hashes: match by file name
+  books.filter(b => !b.fileHash).forEach(book => {
+    const fileName = path.basename(book.path).toLowerCase();
+    const found = files.find(f => path.basename(f).toLowerCase() === fileName);
+    if (found) {
+      matches[book.id] = { path: found, fileHash: null, fileSize: null };
+    }
+  });
+
+  return matches;
+}
+
+module.exports = {
+  isBookFile,
+  findBookFiles,
+  findBooksInFolder
+};
@@ -0,0 +1,144 @@
+// Watched library folders for LapBook
+// Scans the user's library folders for books and watches them for changes,
+// reporting files to the renderer which imports them into the library
+const fs = require('fs');
+const path = require('path');
+const { isBookFile, findBookFiles } = require('./library-scanner');
+
+const CHANGE_SETTLE_DELAY = 2000; // Wait for copies to finish before reporting a file
+
+class LibraryWatcher {
+  /**
+   * @param {Function} send - Sends (channel, data) to the renderer
+   */
+  constructor(send) {
+    this.send = send;
+    this.folders = [];
+    this.watchers = [];
+    this.pendingChecks = new Map();
+    this.generation = 0; // Bumped by stop() so scans started earlier know they're stale
+  }
+
+  /**
+   * Replace the set of watched folders, scanning each one
+   * Scans run one folder at a time and report progress as they go.
+   * @param {string[]} folders - Absolute folder paths
+   */
+  async setFolders(folders) {
+    this.stop();
+    this.folders = [...folders];
+    const generation = this.generation;
+
+    for (const folder of folders) {
+      // Another setFolders() or stop() call replaced this scan
+      if (generation !== this.generation) return;
+
+      if (!fs.existsSync(folder)) {
+        console.warn('[Watcher] Library folder not found:', folder);
+        this.send('library-scan-progress', { folder, found: 0, done: true, error: 'Folder not found' });
+        continue;
+      }
+
+      this.watchFolder(folder);
+      await this.scanFolder(folder, generation);
+    }
+  }
+
+  /**
+   * Scan a folder and report every book file in it
+   * @param {string} folder - Folder to scan
+   * @param {number} generation - Watcher generation the scan belongs to
+   */
+  async scanFolder(folder, generation) {
+    console.log('[Watcher] Scanning library folder:', folder);
+    this.send('library-scan-progress', { folder, found: 0, done: false });
+
+    const files = await findBookFiles(folder, (found) => {
+      if (generation === this.generation) {
+        this.send('library-scan-progress', { folder, found, done: false });
+      }
+    });
+
+    // The folders may have been changed while scanning
+    if (generation !== this.generation) return;
+
+    console.log(`[Watcher] Found ${files.length} books in ${folder}`);
+    this.send('library-scan-progress', { folder, found: files.length, done: true });
+    this.send('library-folder-files', { folder, files });
+  }
+
+  /**
+   * Start watching a folder (recursively where the platform supports it)
+   */
+  watchFolder(folder) {
+    const onChange = (eventType, filename) => {
+      if (filename) {
+        this.scheduleCheck(path.join(folder, filename.toString()));
+      }
+    };
+
+    let watcher;
+    try {
+      watcher = fs.watch(folder, { recursive: true }, onChange);
+    } catch (error) {
+      // Recursive watching is unavailable on some platforms (e.g. Linux before Node 20)
+      console.warn('[Watcher] Recursive watch unavailable, watching top level only:', error.message);
+      watcher = fs.watch(folder, onChange);
+    }
+
+    watcher.on('error', (error) => {
+      console.error('[Watcher] Error watching', folder, error);
+    });
+
+    this.watchers.push(watcher);
+  }
+
+  /**
+   * Check a changed path once it has stopped changing
+   * Copying a large file fires many events; each one restarts the timer.
+   */
+  scheduleCheck(fullPath) {
+    clearTimeout(this.pendingChecks.get(fullPath));
+    this.pendingChecks.set(fullPath, setTimeout(() => {
+      this.pendingChecks.delete(fullPath);
+      this.checkPath(fullPath);
+    }, CHANGE_SETTLE_DELAY));
+  }
+
+  /**
+   * Report whether a changed path was added or removed
+   */
+  async checkPath(fullPath) {
+    let stats = null;
+    try {
+      stats = await fs.promises.stat(fullPath);
+    } catch (error) {
+      // Path no longer exists
+    }
+
+    if (!stats) {
+      // Either a book or a whole folder of books was removed/renamed away
+      this.send('library-folder-change', { type: 'removed', path: fullPath });
+    } else if (stats.isDirectory()) {
+      // A folder was moved in - report the books inside it
+      const files = await findBookFiles(fullPath);
+      files.forEach(file => this.send('library-folder-change', { type: 'added', path: file }));
+    } else if (stats.isFile() && isBookFile(fullPath)) {
+      this.send('library-folder-change', { type: 'added', path: fullPath });
+    }
+  }
+
+  /**
+   * Stop watching all folders
+   */
+  stop() {
+    this.watchers.forEach(watcher => watcher.close());
+    this.watchers = [];
+    this.pendingChecks.forEach(timeout => clearTimeout(timeout));
+    this.pendingChecks.clear();
+    this.folders = [];
+    this.generation++;
+  }
+}
+
+module.exports = LibraryWatcher;
@@ -3,10 +3,34 @@ const { app, BrowserWindow, dialog, ipcMain, Menu, shell } = require('electron')
 const path = require('path');
 const fs = require('fs');
 const { checkForUpdates, showChangelogIfNeeded } = require('./updater');
+const { writeJsonAtomic, readJsonWithRecovery } = require('./storage');
+const {
+  computeFileHash,
+  getBookIdentity,
+  migrateHighlightsFile,
+  archiveLegacyHighlights,
+  getMigratedLegacyIds,
+  migrateCoverFile
+} = require('./book-identity');
+const { readEpubMetadata, writeEpubMetadata } = require('./epub-metadata');
+const { parseAnnotationFile } = require('./annotation-import');
+const { isBookFile, findBookFiles, findBooksInFolder } = require('./library-scanner');
+const LibraryWatcher = require('./library-watcher');
 
 // Reference to main window
 let mainWindow;
 
+// Book requested from the command line or the OS, waiting for the renderer to start
+let pendingOpenRequest = null;
+let rendererReady = false;
+
+// Watches the user's library folders and reports new/removed books to the renderer
+const libraryWatcher = new LibraryWatcher((channel, data) => {
+  if (mainWindow && !mainWindow.isDestroyed()) {
+    mainWindow.webContents.send(channel, data);
+  }
+});
+
 // Global error handler
 process.on('uncaughtException', (error) => {
   console.error('Uncaught exception:', error);
@@ -66,10 +90,78 @@ function createWindow() {
   });
   
   mainWindow.on('closed', () => {
+    libraryWatcher.stop();
+    rendererReady = false;
     mainWindow = null;
   });
 }
 
+/**
+ * Read the book to open from command line arguments
+ * Usage: lapbook path/to/book.epub [--page N | --cfi CFI]
+ * Flag values may be given as --page=N or --page N.
+ * @param {string[]} argv - Full argument list (process.argv or a second instance's argv)
+ * @param {string} workingDirectory - Directory relative paths are resolved against
+ * @returns {Object|null} { filePath, page, cfi }, or null if no book was given
+ */
+function parseOpenBookArgs(argv, workingDirectory = process.cwd()) {
+  // Skip the executable, and the app folder when run unpackaged (`electron .`)
+  const args = argv.slice(app.isPackaged ? 1 : 2);
+  const positional = [];
+  const flags = {};
+
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    const flagMatch = arg.match(/^--(page|cfi)(?:=(.*))?$/);
+
+    if (flagMatch) {
+      let value = flagMatch[2];
+      if (value === undefined && i + 1 < args.length && !args[i + 1].startsWith('-') && !isBookFile(args[i + 1])) {
+        value = args[++i];
+      }
+      flags[flagMatch[1]] = value === undefined ? null : value;
+    } else if (!arg.startsWith('-')) {
+      // Anything else starting with '-' is an Electron/Chromium switch
+      positional.push(arg);
+    }
+  }
+
+  const bookArg = positional.find(arg => isBookFile(arg));
+  if (!bookArg) return null;
+
+  // Chromium can move switches ahead of the arguments, separating a flag from its value
+  const leftovers = positional.filter(arg => arg !== bookArg);
+  ['page', 'cfi'].forEach(name => {
+    if (name in flags && flags[name] === null && leftovers.length > 0) {
+      flags[name] = leftovers.shift();
+    }
+  });
+
+  const page = parseInt(flags.page, 10);
+  return {
+    filePath: path.resolve(workingDirectory, bookArg),
+    page: page > 0 ? page : null,
+    cfi: flags.cfi && flags.cfi.startsWith('epubcfi(') ? flags.cfi : null
+  };
+}
+
+/**
+ * Open a book from the command line or the OS in the running window
+ * Requests made before the renderer has started are kept until it asks for them.
+ * @param {Object} request - { filePath, page, cfi }
+ */
+function requestOpenBook(request) {
+  if (!request) return;
+
+  if (mainWindow && !mainWindow.isDestroyed() && rendererReady) {
+    if (mainWindow.isMinimized()) mainWindow.restore();
+    mainWindow.focus();
+    mainWindow.webContents.send('open-book-request', request);
+  } else {
+    pendingOpenRequest = request;
+  }
+}
+
 /**
  * Create application menu with File options
  */
@@ -85,6 +177,25 @@ function createMenu() {
             openEpubFile();
           }
         },
+        {
+          label: 'Import Books...',
+          accelerator: 'CmdOrCtrl+Shift+O',
+          click: async () => {
+            const filePaths = await selectBookFiles();
+            if (filePaths.length > 0) {
+              mainWindow.webContents.send('import-books', filePaths);
+            }
+          }
+        },
+        {
+          label: 'Import Folder...',
+          click: async () => {
+            const result = await selectBookFolder();
+            if (result) {
+              mainWindow.webContents.send('import-books', result.files, result.folder);
+            }
+          }
+        },
         { type: 'separator' },
         {
           label: 'Exit',
@@ -178,6 +289,43 @@ async function openEpubFile() {
   }
 }
 
+/**
+ * Let the user pick any number of EPUB/PDF files to import
+ * @returns {Promise<string[]>} Selected file paths (empty if canceled)
+ */
+async function selectBookFiles() {
+  const result = await dialog.showOpenDialog(mainWindow, {
+    title: 'Import Books',
+    properties: ['openFile', 'multiSelections'],
+    filters: [
+      { name: 'eBooks', extensions: ['epub', 'pdf'] },
+      { name: 'EPUB Books', extensions: ['epub'] },
+      { name: 'PDF Documents', extensions: ['pdf'] },
+      { name: 'All Files', extensions: ['*'] }
+    ]
+  });
+
+  return result.canceled ? [] : result.filePaths;
+}
+
+/**
+ * Let the user pick a folder and list every book file inside it (recursively)
+ * @returns {Promise<Object|null>} { folder, files }, or null if canceled
+ */
+async function selectBookFolder() {
+  const result = await dialog.showOpenDialog(mainWindow, {
+    title: 'Import Folder',
+    properties: ['openDirectory']
+  });
+
+  if (result.canceled || result.filePaths.length === 0) {
+    return null;
+  }
+
+  const folder = result.filePaths[0];
+  return { folder, files: await findBookFiles(folder) };
+}
+
 // Handle IPC request to open EPUB or PDF file dialog
 ipcMain.handle('dialog:openEpub', async () => {
   const result = await dialog.showOpenDialog(mainWindow, {
@@ -196,6 +344,47 @@ ipcMain.handle('dialog:openEpub', async () => {
   return null;
 });
 
+// Hand the book requested at launch to the renderer once it has started
+ipcMain.handle('app:getLaunchRequest', async () => {
+  rendererReady = true;
+  const request = pendingOpenRequest;
+  pendingOpenRequest = null;
+  return request;
+});
+
+// Handle IPC requests for the bulk import dialogs
+ipcMain.handle('dialog:importBooks', async () => selectBookFiles());
+ipcMain.handle('dialog:importFolder', async () => selectBookFolder());
+
+// Handle IPC request to pick an image file (book covers)
+ipcMain.handle('dialog:selectImage', async (event, title) => {
+  const result = await dialog.showOpenDialog(mainWindow, {
+    title: title || 'Select Image',
+    properties: ['openFile'],
+    filters: [
+      { name: 'Images', extensions: ['jpg', 'jpeg', 'png', 'gif', 'webp', 'bmp'] }
+    ]
+  });
+  
+  if (!result.canceled && result.filePaths.length > 0) {
+    return result.filePaths[0];
+  }
+  return null;
+});
+
+// Handle IPC request to pick a folder (library folders)
+ipcMain.handle('dialog:selectFolder', async (event, title) => {
+  const result = await dialog.showOpenDialog(mainWindow, {
+    title: title || 'Select Folder',
+    properties: ['openDirectory']
+  });
+  
+  if (!result.canceled && result.filePaths.length > 0) {
+    return result.filePaths[0];
+  }
+  return null;
+});
+
 // Handle reading EPUB file as ArrayBuffer (needed by epub.js)
 ipcMain.handle('file:readEpub', async (event, filePath) => {
   try {
@@ -217,15 +406,48 @@ ipcMain.handle('file:readEpub', async (event, filePath) => {
   }
 });
 
+/**
+ * Load a JSON data file and tell the user if it had to be recovered from a backup
+ * @param {string} filePath - File to load
+ * @param {*} defaultValue - Value used when the file does not exist
+ * @param {string} label - Human readable name shown in the recovery message
+ */
+function loadDataFile(filePath, defaultValue, label) {
+  const result = readJsonWithRecovery(filePath, defaultValue);
+  if (result.recovered || result.lost) {
+    showRecoveryNotice(label, result);
+  }
+  return result.data;
+}
+
+/**
+ * Show a message explaining what was recovered after a damaged data file was found
+ */
+function showRecoveryNotice(label, result) {
+  if (!mainWindow || mainWindow.isDestroyed()) return;
+  
+  const detail = result.recovered
+    ? `Your ${label} file was damaged (${result.error ? result.error.message : 'missing'}), ` +
+      `probably because LapBook was closed during a save.\n\n` +
+      `It has been restored from the last good backup:\n${result.backupPath}\n\n` +
+      'Changes made shortly before the problem may be missing.'
+    : `Your ${label} file was damaged (${result.error.message}) and no usable backup was found.\n\n` +
+      'LapBook will start with empty data for it. The damaged file was kept next to the original with a ".corrupt-<timestamp>" suffix.';
+  
+  dialog.showMessageBox(mainWindow, {
+    type: 'warning',
+    title: result.recovered ? 'Data Recovered' : 'Data Could Not Be Recovered',
+    message: result.recovered ? `Recovered ${label} from backup` : `Could not recover ${label}`,
+    detail: detail,
+    buttons: ['OK']
+  });
+}
+
 // Handle settings file operations
 ipcMain.handle('settings:load', async () => {
   try {
     const settingsPath = path.join(app.getPath('userData'), 'settings.json');
-    if (fs.existsSync(settingsPath)) {
-      const data = fs.readFileSync(settingsPath, 'utf8');
-      return JSON.parse(data);
-    }
-    return null;
+    return loadDataFile(settingsPath, null, 'settings');
   } catch (error) {
     console.error('Error loading settings:', error);
     return null;
@@ -235,7 +457,7 @@ ipcMain.handle('settings:load', async () => {
 ipcMain.handle('settings:save', async (event, settings) => {
   try {
     const settingsPath = path.join(app.getPath('userData'), 'settings.json');
-    fs.writeFileSync(settingsPath, JSON.stringify(settings, null, 2), 'utf8');
+    writeJsonAtomic(settingsPath, settings);
     return true;
   } catch (error) {
     console.error('Error saving settings:', error);
@@ -243,6 +465,56 @@ ipcMain.handle('settings:save', async (event, settings) => {
   }
 });
 
+// Handle reading statistics (time read per day and per book, reading sessions)
+ipcMain.handle('stats:load', async () => {
+  try {
+    const statsPath = path.join(app.getPath('userData'), 'stats.json');
+    return loadDataFile(statsPath, null, 'reading statistics');
+  } catch (error) {
+    console.error('Error loading reading stats:', error);
+    return null;
+  }
+});
+
+ipcMain.handle('stats:save', async (event, stats) => {
+  try {
+    const statsPath = path.join(app.getPath('userData'), 'stats.json');
+    writeJsonAtomic(statsPath, stats);
+    return true;
+  } catch (error) {
+    console.error('Error saving reading stats:', error);
+    return false;
+  }
+});
+
+// Cached EPUB locations, so they are only generated on the first open of a book file
+ipcMain.handle('locations:load', async (event, bookId, cacheKey) => {
+  try {
+    const cachePath = path.join(app.getPath('userData'), 'locations', `${bookId}.json`);
+    if (!fs.existsSync(cachePath)) return null;
+    
+    const cached = JSON.parse(fs.readFileSync(cachePath, 'utf8'));
+    // Generated from another version of the file (or with other settings) - regenerate
+    return cached.key === cacheKey ? cached.locations : null;
+  } catch (error) {
+    // A damaged cache is simply regenerated
+    console.warn('Could not read cached locations:', bookId, error.message);
+    return null;
+  }
+});
+
+ipcMain.handle('locations:save', async (event, bookId, cacheKey, locations) => {
+  try {
+    const locationsDir = path.join(app.getPath('userData'), 'locations');
+    fs.mkdirSync(locationsDir, { recursive: true });
+    writeJsonAtomic(path.join(locationsDir, `${bookId}.json`), { key: cacheKey, locations });
+    return true;
+  } catch (error) {
+    console.error('Error saving locations:', error);
+    return false;
+  }
+});
+
 // Handle highlights operations
 ipcMain.handle('highlights:load', async (event, bookIdentifier) => {
   try {
@@ -254,20 +526,40 @@ ipcMain.handle('highlights:load', async (event, bookIdentifier) => {
     
     const highlightsPath = path.join(highlightsDir, `${bookIdentifier}.json`);
     console.log('[Main] Highlights path:', highlightsPath);
-    if (fs.existsSync(highlightsPath)) {
-      const data = fs.readFileSync(highlightsPath, 'utf8');
-      const parsed = JSON.parse(data);
-      console.log(`[Main] Loaded ${parsed.length} highlights`);
-      return parsed;
-    }
-    console.log('[Main] No highlights file found');
-    return [];
+    const parsed = loadDataFile(highlightsPath, [], 'highlights');
+    console.log(`[Main] Loaded ${parsed.length} highlights`);
+    return parsed;
   } catch (error) {
     console.error('Error loading highlights:', error);
     return [];
   }
 });
 
+// Load the highlights of every book, including books no longer in the library
+ipcMain.handle('highlights:loadAll', async () => {
+  const highlightsDir = path.join(app.getPath('userData'), 'highlights');
+  const result = {};
+  try {
+    if (!fs.existsSync(highlightsDir)) return result;
+    
+    // Legacy files already copied to a book's new id would show up twice
+    const migratedLegacyIds = getMigratedLegacyIds(highlightsDir);
+    fs.readdirSync(highlightsDir, { withFileTypes: true })
+      .filter(entry => entry.isFile() && entry.name.endsWith('.json'))
+      .filter(entry => !migratedLegacyIds.has(path.basename(entry.name, '.json')))
+      .forEach(entry => {
+        const annotations = loadDataFile(path.join(highlightsDir, entry.name), [], 'highlights');
+        if (Array.isArray(annotations) && annotations.length > 0) {
+          result[path.basename(entry.name, '.json')] = annotations;
+        }
+      });
+    console.log(`[Main] Loaded highlights of ${Object.keys(result).length} books`);
+  } catch (error) {
+    console.error('Error loading all highlights:', error);
+  }
+  return result;
+});
+
 ipcMain.handle('highlights:save', async (event, bookIdentifier, highlights) => {
   try {
     console.log(`[Main] Saving ${highlights.length} highlights for:`, bookIdentifier);
@@ -307,8 +599,8 @@ ipcMain.handle('highlights:save', async (event, bookIdentifier, highlights) => {
     const highlightsPath = path.join(highlightsDir, `${bookIdentifier}.json`);
     console.log('[Main] Writing to file:', highlightsPath);
     
-    // Try writing file
-    fs.writeFileSync(highlightsPath, JSON.stringify(highlights, null, 2), 'utf8');
+    // Write via temp file + rename so a crash never truncates the highlights
+    writeJsonAtomic(highlightsPath, highlights);
     console.log('[Main] File written successfully');
     
     // Verify file exists
@@ -325,25 +617,91 @@ ipcMain.handle('highlights:save', async (event, bookIdentifier, highlights) => {
   }
 });
 
+const HIGHLIGHT_EXPORT_FILTERS = {
+  markdown: { name: 'Markdown', extensions: ['md'] },
+  html: { name: 'HTML Document', extensions: ['html'] },
+  csv: { name: 'CSV Spreadsheet', extensions: ['csv'] },
+  json: { name: 'JSON', extensions: ['json'] }
+};
+
+// Save exported highlights wherever the user chooses
+ipcMain.handle('highlights:export', async (event, defaultName, format, content) => {
+  const filter = HIGHLIGHT_EXPORT_FILTERS[format];
+  if (!filter) {
+    return { error: `Unknown export format: ${format}` };
+  }
+  
+  const fileName = `${defaultName.replace(/[\\/:*?"<>|]/g, '_')}.${filter.extensions[0]}`;
+  const result = await dialog.showSaveDialog(mainWindow, {
+    title: 'Export Highlights',
+    defaultPath: path.join(app.getPath('documents'), fileName),
+    filters: [filter]
+  });
+  if (result.canceled || !result.filePath) {
+    return null;
+  }
+  
+  try {
+    fs.writeFileSync(result.filePath, content, 'utf8');
+    console.log('[Main] Exported highlights to:', result.filePath);
+    return { filePath: result.filePath };
+  } catch (error) {
+    console.error('[Main] Error exporting highlights:', error);
+    return { error: error.message };
+  }
+});
+
+// Let the user pick annotation files exported by other readers and parse them
+ipcMain.handle('highlights:import', async () => {
+  const result = await dialog.showOpenDialog(mainWindow, {
+    title: 'Import Highlights',
+    properties: ['openFile', 'multiSelections'],
+    filters: [
+      { name: 'Annotation Files', extensions: ['txt', 'json', 'calibre_highlights', 'lua'] },
+      { name: 'Kindle Clippings', extensions: ['txt'] },
+      { name: 'calibre Annotations', extensions: ['json', 'calibre_highlights'] },
+      { name: 'KOReader Metadata', extensions: ['lua'] },
+      { name: 'All Files', extensions: ['*'] }
+    ]
+  });
+  if (result.canceled || result.filePaths.length === 0) {
+    return null;
+  }
+  
+  return result.filePaths.map(filePath => {
+    const fileName = path.basename(filePath);
+    try {
+      const books = parseAnnotationFile(filePath);
+      console.log(`[Main] Parsed ${books.length} books from annotation file:`, filePath);
+      return { fileName, books };
+    } catch (error) {
+      console.error('[Main] Error parsing annotation file:', filePath, error);
+      return { fileName, error: error.message };
+    }
+  });
+});
+
 // Handle library operations
 ipcMain.handle('library:load', async () => {
   try {
     const libraryPath = path.join(app.getPath('userData'), 'library.json');
-    if (fs.existsSync(libraryPath)) {
-      const data = fs.readFileSync(libraryPath, 'utf8');
-      return JSON.parse(data);
-    }
-    return [];
+    return loadDataFile(libraryPath, [], 'library');
   } catch (error) {
     console.error('Error loading library:', error);
     return [];
   }
 });
 
-ipcMain.handle('library:save', async (event, library) => {
+ipcMain.handle('library:save', async (event, library, collections) => {
   try {
     const libraryPath = path.join(app.getPath('userData'), 'library.json');
-    fs.writeFileSync(libraryPath, JSON.stringify(library, null, 2), 'utf8');
+    writeJsonAtomic(libraryPath, library);
+    
+    // Shelf definitions live next to the library (membership is stored on each book)
+    if (Array.isArray(collections)) {
+      const collectionsPath = path.join(app.getPath('userData'), 'collections.json');
+      writeJsonAtomic(collectionsPath, collections);
+    }
     return true;
   } catch (error) {
     console.error('Error saving library:', error);
@@ -351,6 +709,303 @@ ipcMain.handle('library:save', async (event, library) => {
   }
 });
 
+// Read the full descriptive metadata of an EPUB (publisher, series, ISBN, ...)
+ipcMain.handle('book:readMetadata', async (event, filePath) => {
+  if (path.extname(filePath).toLowerCase() !== '.epub') return null;
+  
+  try {
+    return await readEpubMetadata(filePath);
+  } catch (error) {
+    console.error('Error reading EPUB metadata:', filePath, error);
+    return null;
+  }
+});
+
+/**
+ * Temporary file an EPUB is rewritten to before it replaces the original
+ */
+function getMetadataWritePath(filePath) {
+  return `${filePath}.lapbook-tmp`;
+}
+
+// Write edited metadata into a temporary copy of an EPUB
+// The renderer checks the copy opens in epub.js before committing it.
+ipcMain.handle('book:writeMetadata', async (event, filePath, changes) => {
+  const tempPath = getMetadataWritePath(filePath);
+  try {
+    const { coverData, ...fields } = changes;
+    if (coverData) {
+      fields.cover = Buffer.from(coverData.replace(/^data:image\/\w+;base64,/, ''), 'base64');
+    }
+
+    const written = await writeEpubMetadata(filePath, fields, tempPath);
+    console.log('[Metadata] Wrote', written.join(', ') || 'nothing', 'to', tempPath);
+    return { tempPath, written };
+  } catch (error) {
+    console.error('Error writing EPUB metadata:', filePath, error);
+    if (fs.existsSync(tempPath)) fs.unlinkSync(tempPath);
+    return { error: error.message };
+  }
+});
+
+// Replace the original EPUB with the rewritten copy, keeping a backup
+ipcMain.handle('book:commitMetadata', async (event, filePath) => {
+  const tempPath = getMetadataWritePath(filePath);
+  try {
+    const backupsDir = path.join(app.getPath('userData'), 'backups');
+    fs.mkdirSync(backupsDir, { recursive: true });
+
+    const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+    const backupPath = path.join(backupsDir, `${timestamp} ${path.basename(filePath)}`);
+    fs.copyFileSync(filePath, backupPath);
+
+    try {
+      fs.renameSync(tempPath, filePath);
+    } catch (error) {
+      // Windows refuses to rename over a file another program has open
+      fs.copyFileSync(tempPath, filePath);
+      fs.unlinkSync(tempPath);
+    }
+
+    console.log('[Metadata] Updated', filePath, '- original backed up to', backupPath);
+    return {
+      backupPath,
+      fileHash: await computeFileHash(filePath),
+      fileSize: fs.statSync(filePath).size
+    };
+  } catch (error) {
+    console.error('Error replacing EPUB:', filePath, error);
+    return { error: error.message };
+  }
+});
+
+ipcMain.handle('book:discardMetadata', async (event, filePath) => {
+  const tempPath = getMetadataWritePath(filePath);
+  if (fs.existsSync(tempPath)) fs.unlinkSync(tempPath);
+});
+
+ipcMain.handle('library:loadCollections', async () => {
+  try {
+    const collectionsPath = path.join(app.getPath('userData'), 'collections.json');
+    return loadDataFile(collectionsPath, [], 'collections');
+  } catch (error) {
+    console.error('Error loading collections:', error);
+    return [];
+  }
+});
+
+// Handle book identity (content hash shared by library, highlights and covers)
+ipcMain.handle('book:getIdentity', async (event, filePath) => {
+  try {
+    const identity = await getBookIdentity(filePath);
+    
+    // Pick up highlights saved under the pre-hash identifier, if any
+    // Other editions sharing the legacy file still copy it from the archive.
+    const highlightsDir = path.join(app.getPath('userData'), 'highlights');
+    identity.legacyIds.forEach(legacyId => {
+      migrateHighlightsFile(highlightsDir, legacyId, identity.id);
+      archiveLegacyHighlights(highlightsDir, legacyId);
+    });
+    
+    return identity;
+  } catch (error) {
+    console.error('Error computing book identity:', error);
+    throw error;
+  }
+});
+
+/**
+ * Re-key library entries created before content-hash identities
+ * Moves each book's highlights and cover file to the new id.
+ * Entries whose file can't be found are left as they are and retried next time.
+ */
+ipcMain.handle('library:migrateIdentities', async (event, library) => {
+  const userDataPath = app.getPath('userData');
+  const highlightsDir = path.join(userDataPath, 'highlights');
+  const coversDir = path.join(userDataPath, 'covers');
+  const migratedLegacyIds = new Set();
+  let changed = false;
+  
+  for (const entry of library) {
+    if (entry.fileHash || !entry.path || !fs.existsSync(entry.path)) continue;
+    
+    try {
+      const identity = await getBookIdentity(entry.path);
+      
+      identity.legacyIds.forEach(legacyId => {
+        migrateHighlightsFile(highlightsDir, legacyId, identity.id);
+        migratedLegacyIds.add(legacyId);
+      });
+      
+      const coverPath = migrateCoverFile(coversDir, entry.id, identity.id);
+      if (coverPath) {
+        entry.coverPath = coverPath;
+      }
+      
+      console.log(`[Main] Migrated library entry ${entry.id} -> ${identity.id}`);
+      entry.id = identity.id;
+      entry.fileHash = identity.fileHash;
+      entry.fileSize = identity.fileSize;
+      entry.packageIdentifier = identity.packageIdentifier;
+      changed = true;
+    } catch (error) {
+      console.error('Error migrating book identity for', entry.path, error);
+    }
+  }
+  
+  // Editions migrated later still copy the archived file
+  migratedLegacyIds.forEach(legacyId => archiveLegacyHighlights(highlightsDir, legacyId));
+  
+  return { library, changed };
+});
+
+// Start scanning and watching the user's library folders
+// Results arrive asynchronously through library-scan-progress,
+// library-folder-files and library-folder-change events
+ipcMain.handle('library:watchFolders', async (event, folders) => {
+  libraryWatcher.setFolders(folders || []).catch(error => {
+    console.error('Error scanning library folders:', error);
+  });
+  return true;
+});
+
+// Expand files and folders dropped on the window into book files
+// Anything that isn't an EPUB or PDF is returned as unsupported
+ipcMain.handle('library:expandDroppedPaths', async (event, droppedPaths) => {
+  const files = [];
+  const unsupported = [];
+
+  for (const droppedPath of droppedPaths) {
+    try {
+      const stats = await fs.promises.stat(droppedPath);
+      if (stats.isDirectory()) {
+        files.push(...await findBookFiles(droppedPath));
+      } else if (isBookFile(droppedPath)) {
+        files.push(droppedPath);
+      } else {
+        unsupported.push(droppedPath);
+      }
+    } catch (error) {
+      console.error('Error reading dropped path:', droppedPath, error);
+      unsupported.push(droppedPath);
+    }
+  }
+
+  return { files, unsupported };
+});
+
+// Report which library files no longer exist on disk
+ipcMain.handle('library:checkMissing', async (event, filePaths) => {
+  return filePaths.filter(filePath => !fs.existsSync(filePath));
+});
+
+/**
+ * Ask the user where a missing book went
+ * They can pick the file directly, or a folder that is searched by content hash
+ * for this book and every other missing book.
+ * @returns {Object} { canceled, searchedFolder, matches: { bookId: { path, fileHash, fileSize } } }
+ */
+ipcMain.handle('library:locateBook', async (event, book, missingBooks) => {
+  const choice = await dialog.showMessageBox(mainWindow, {
+    type: 'question',
+    title: 'Book Not Found',
+    message: `"${book.title}" could not be found`,
+    detail: `It was last seen at:\n${book.path}\n\n` +
+      'Locate the file, or choose a folder to search. LapBook recognizes books by their contents, ' +
+      'so renamed files are found too.',
+    buttons: ['Locate File...', 'Search Folder...', 'Cancel'],
+    defaultId: 0,
+    cancelId: 2
+  });
+  
+  if (choice.response === 0) {
+    return locateBookFile(book);
+  }
+  if (choice.response === 1) {
+    return searchFolderForBooks(missingBooks);
+  }
+  return { canceled: true, matches: {} };
+});
+
+/**
+ * Get the closest folder of a path that still exists (used as dialog start folder)
+ */
+function getExistingParentFolder(filePath) {
+  let folder = path.dirname(filePath);
+  while (folder && !fs.existsSync(folder)) {
+    const parent = path.dirname(folder);
+    if (parent === folder) return undefined;
+    folder = parent;
+  }
+  return folder;
+}
+
+/**
+ * Let the user pick the moved file for one book
+ * Warns if the chosen file's contents differ from the original
+ */
+async function locateBookFile(book) {
+  const extension = path.extname(book.path).slice(1).toLowerCase() || 'epub';
+  const result = await dialog.showOpenDialog(mainWindow, {
+    title: `Locate "${book.title}"`,
+    defaultPath: getExistingParentFolder(book.path),
+    properties: ['openFile'],
+    filters: [
+      { name: extension.toUpperCase(), extensions: [extension] },
+      { name: 'All Files', extensions: ['*'] }
+    ]
+  });
+  
+  if (result.canceled || result.filePaths.length === 0) {
+    return { canceled: true, matches: {} };
+  }
+  
+  const filePath = result.filePaths[0];
+  const identity = await getBookIdentity(filePath);
+  
+  if (book.fileHash && identity.fileHash !== book.fileHash) {
+    const confirm = await dialog.showMessageBox(mainWindow, {
+      type: 'warning',
+      title: 'Different File',
+      message: 'The selected file is not the same as the original book',
+      detail: 'Its contents differ, so it may be another edition. Highlights and reading position ' +
+        'are kept but may not line up with the text.\n\nUse this file anyway?',
+      buttons: ['Use This File', 'Cancel'],
+      defaultId: 1,
+      cancelId: 1
+    });
+    if (confirm.response !== 0) {
+      return { canceled: true, matches: {} };
+    }
+  }
+  
+  return {
+    canceled: false,
+    matches: {
+      [book.id]: { path: filePath, fileHash: identity.fileHash, fileSize: identity.fileSize }
+    }
+  };
+}
+
+/**
+ * Let the user pick a folder and search it for all missing books
+ */
+async function searchFolderForBooks(missingBooks) {
+  const result = await dialog.showOpenDialog(mainWindow, {
+    title: 'Choose a folder to search for missing books',
+    properties: ['openDirectory']
+  });
+  
+  if (result.canceled || result.filePaths.length === 0) {
+    return { canceled: true, matches: {} };
+  }
+  
+  const folder = result.filePaths[0];
+  console.log(`[Main] Searching ${folder} for ${missingBooks.length} missing books`);
+  const matches = await findBooksInFolder(folder, missingBooks);
+  return { canceled: false, searchedFolder: folder, matches };
+}
+
 // Handle cover image storage
 ipcMain.handle('library:saveCover', async (event, bookId, imageData) => {
   try {
@@ -410,16 +1065,46 @@ ipcMain.handle('read-file', async (event, filePath) => {
 });
 
 // App lifecycle events
-app.whenReady().then(() => {
-  createWindow();
+// Only one LapBook runs at a time: later launches hand their book to the first one
+const launchRequest = parseOpenBookArgs(process.argv);
+const gotSingleInstanceLock = app.requestSingleInstanceLock({ openRequest: launchRequest });
+
+if (!gotSingleInstanceLock) {
+  app.quit();
+} else {
+  pendingOpenRequest = launchRequest;
+
+  app.on('second-instance', (event, argv, workingDirectory, additionalData) => {
+    const request = additionalData && additionalData.openRequest !== undefined
+      ? additionalData.openRequest
+      : parseOpenBookArgs(argv, workingDirectory);
 
-  // On macOS, re-create window when dock icon is clicked
-  app.on('activate', () => {
-    if (BrowserWindow.getAllWindows().length === 0) {
-      createWindow();
+    if (request) {
+      requestOpenBook(request);
+    } else if (mainWindow) {
+      // Launched again without a book - just bring the window forward
+      if (mainWindow.isMinimized()) mainWindow.restore();
+      mainWindow.focus();
     }
   });
-});
+
+  // macOS delivers files opened from Finder (or dropped on the dock icon) as events
+  app.on('open-file', (event, filePath) => {
+    event.preventDefault();
+    requestOpenBook({ filePath, page: null, cfi: null });
+  });
+
+  app.whenReady().then(() => {
+    createWindow();
+
+    // On macOS, re-create window when dock icon is clicked
+    app.on('activate', () => {
+      if (BrowserWindow.getAllWindows().length === 0) {
+        createWindow();
+      }
+    });
+  });
+}
 
 // Quit when all windows are closed (except on macOS)
 app.on('window-all-closed', () => {
@@ -11,6 +11,18 @@ contextBridge.exposeInMainWorld('electronAPI', {
   // Open file dialog and return selected EPUB file path
   openEpubDialog: () => ipcRenderer.invoke('dialog:openEpub'),
   
+  // Open multi-select dialog and return selected book file paths
+  importBooksDialog: () => ipcRenderer.invoke('dialog:importBooks'),
+  
+  // Open folder picker and return { folder, files } with every book file inside
+  importFolderDialog: () => ipcRenderer.invoke('dialog:importFolder'),
+  
+  // Open image picker and return selected image path
+  selectImageDialog: (title) => ipcRenderer.invoke('dialog:selectImage', title),
+  
+  // Open folder picker and return selected folder path
+  selectFolderDialog: (title) => ipcRenderer.invoke('dialog:selectFolder', title),
+  
   // Read EPUB file as ArrayBuffer
   readEpubFile: (filePath) => ipcRenderer.invoke('file:readEpub', filePath),
   
@@ -20,11 +32,32 @@ contextBridge.exposeInMainWorld('electronAPI', {
   // Save settings to disk
   saveSettings: (settings) => ipcRenderer.invoke('settings:save', settings),
   
+  // Load and save reading statistics
+  loadStats: () => ipcRenderer.invoke('stats:load'),
+  saveStats: (stats) => ipcRenderer.invoke('stats:save', stats),
+  
+  // Load and save the generated locations of an EPUB
+  loadLocations: (bookId, cacheKey) => ipcRenderer.invoke('locations:load', bookId, cacheKey),
+  saveLocations: (bookId, cacheKey, locations) => ipcRenderer.invoke('locations:save', bookId, cacheKey, locations),
+  
   // Listen for menu-triggered file open events
   onOpenEpub: (callback) => {
     ipcRenderer.on('open-epub', (event, filePath) => callback(filePath));
   },
   
+  // Get the book LapBook was launched with (command line or file association)
+  getLaunchRequest: () => ipcRenderer.invoke('app:getLaunchRequest'),
+  
+  // Listen for books opened by a later launch or the OS while running
+  onOpenBookRequest: (callback) => {
+    ipcRenderer.on('open-book-request', (event, request) => callback(request));
+  },
+  
+  // Listen for bulk imports started from the File menu
+  onImportBooks: (callback) => {
+    ipcRenderer.on('import-books', (event, filePaths, folder) => callback(filePaths, folder));
+  },
+  
   // Listen for show about dialog
   onShowAbout: (callback) => {
     ipcRenderer.on('show-about', () => callback());
@@ -68,12 +101,45 @@ contextBridge.exposeInMainWorld('electronAPI', {
   // Load highlights for a specific book
   loadHighlights: (bookIdentifier) => ipcRenderer.invoke('highlights:load', bookIdentifier),
   
+  // Load the highlights of every book, keyed by book identifier
+  loadAllHighlights: () => ipcRenderer.invoke('highlights:loadAll'),
+  
   // Save highlights for a specific book
   saveHighlights: (bookIdentifier, highlights) => ipcRenderer.invoke('highlights:save', bookIdentifier, highlights),
   
+  // Save exported highlights through a save dialog, returns { filePath } or { error }, null if canceled
+  exportHighlights: (defaultName, format, content) => ipcRenderer.invoke('highlights:export', defaultName, format, content),
+  
+  // Pick and parse Kindle, calibre or KOReader annotation files, returns [{ fileName, books } | { fileName, error }], null if canceled
+  importHighlights: () => ipcRenderer.invoke('highlights:import'),
+  
+  // Compute the stable content-hash identity of a book file
+  getBookIdentity: (filePath) => ipcRenderer.invoke('book:getIdentity', filePath),
+  
   // Library operations
   loadLibrary: () => ipcRenderer.invoke('library:load'),
-  saveLibrary: (library) => ipcRenderer.invoke('library:save', library),
+  saveLibrary: (library, collections) => ipcRenderer.invoke('library:save', library, collections),
+  loadCollections: () => ipcRenderer.invoke('library:loadCollections'),
+  readBookMetadata: (filePath) => ipcRenderer.invoke('book:readMetadata', filePath),
+  writeBookMetadata: (filePath, changes) => ipcRenderer.invoke('book:writeMetadata', filePath, changes),
+  commitBookMetadata: (filePath) => ipcRenderer.invoke('book:commitMetadata', filePath),
+  discardBookMetadata: (filePath) => ipcRenderer.invoke('book:discardMetadata', filePath),
+  migrateLibraryIdentities: (library) => ipcRenderer.invoke('library:migrateIdentities', library),
+  expandDroppedPaths: (paths) => ipcRenderer.invoke('library:expandDroppedPaths', paths),
+  checkMissingFiles: (filePaths) => ipcRenderer.invoke('library:checkMissing', filePaths),
+  locateBook: (book, missingBooks) => ipcRenderer.invoke('library:locateBook', book, missingBooks),
+  
+  // Watched library folders
+  watchLibraryFolders: (folders) => ipcRenderer.invoke('library:watchFolders', folders),
+  onLibraryScanProgress: (callback) => {
+    ipcRenderer.on('library-scan-progress', (event, progress) => callback(progress));
+  },
+  onLibraryFolderFiles: (callback) => {
+    ipcRenderer.on('library-folder-files', (event, result) => callback(result));
+  },
+  onLibraryFolderChange: (callback) => {
+    ipcRenderer.on('library-folder-change', (event, change) => callback(change));
+  },
   saveCover: (bookId, imageData) => ipcRenderer.invoke('library:saveCover', bookId, imageData),
   getCoverPath: (bookId) => ipcRenderer.invoke('library:getCoverPath', bookId)
 });
@@ -0,0 +1,252 @@
+/**
+ * Highlight Export - formats highlights and notes as Markdown, HTML, CSV or JSON
+ * Every formatter takes the same list of books, each with its highlights in
+ * reading order: [{ book: libraryEntry, highlights: [...] }].
+ *
+ * JSON export schema (version 1):
+ *
+ *   {
+ *     "format": "lapbook-highlights",
+ *     "version": 1,
+ *     "exported": "2025-01-31T18:00:00.000Z",  // ISO 8601
+ *     "books": [{
+ *       "id": "…",                 // LapBook's content-hash identity of the file
+ *       "title": "…",
+ *       "author": "…",
+ *       "fileType": "epub",        // "epub" or "pdf"
+ *       "publisher": "…" | null,
+ *       "isbn": "…" | null,
+ *       "series": "…" | null,
+ *       "seriesIndex": 2 | null,
+ *       "highlights": [{
+ *         "id": "…",
+ *         "text": "…",             // The highlighted quote
+ *         "note": "…",             // Empty string without a note
+ *         "color": "yellow",       // yellow, green, blue, pink or orange
+ *         "chapter": "…" | null,
+ *         "tags": ["…"],
+ *         "created": "…",          // ISO 8601
+ *         "location": { "cfi": "epubcfi(…)" }  // EPUB
+ *                   | { "page": 12, "start": { "item": 3, "offset": 0 }, "end": { "item": 5, "offset": 17 } }  // PDF
+ *       }]
+ *     }]
+ *   }
+ *
+ * PDF positions are text item indexes (in pdf.js getTextContent() order) and
+ * character offsets within those items.
+ */
+
+const HIGHLIGHT_EXPORT_FORMATS = {
+  markdown: { name: 'Markdown', format: formatHighlightsMarkdown },
+  html: { name: 'HTML', format: formatHighlightsHTML },
+  csv: { name: 'CSV', format: formatHighlightsCSV },
+  json: { name: 'JSON', format: formatHighlightsJSON }
+};
+
+/**
+ * Format books and their highlights
+ * @param {string} format - Key of HIGHLIGHT_EXPORT_FORMATS
+ * @param {Array<{ book: Object, highlights: Array }>} books
+ * @returns {string} File contents
+ */
+function formatHighlightExport(format, books) {
+  const exporter = HIGHLIGHT_EXPORT_FORMATS[format];
+  if (!exporter) {
+    throw new Error(`Unknown export format: ${format}`);
+  }
+  return exporter.format(books);
+}
+
+/**
+ * Publisher, series and ISBN lines shown under the book title
+ */
+function getExportBookDetails(book) {
+  const details = [];
+  if (book.series) {
+    details.push(['Series', Number.isFinite(book.seriesIndex) ? `${book.series} #${book.seriesIndex}` : book.series]);
+  }
+  if (book.publisher) details.push(['Publisher', book.publisher]);
+  if (book.isbn) details.push(['ISBN', book.isbn]);
+  return details;
+}
+
+/**
+ * Split highlights into runs of the same chapter, keeping their order
+ * @returns {Array<{ chapter: string|null, highlights: Array }>}
+ */
+function groupHighlightsByChapter(highlights) {
+  const groups = [];
+  highlights.forEach(highlight => {
+    const chapter = highlight.chapter || null;
+    const last = groups[groups.length - 1];
+    if (last && last.chapter === chapter) {
+      last.highlights.push(highlight);
+    } else {
+      groups.push({ chapter, highlights: [highlight] });
+    }
+  });
+  return groups;
+}
+
+/**
+ * Color, page and date shown under each quote
+ */
+function getExportHighlightMeta(highlight) {
+  const meta = [highlight.color.charAt(0).toUpperCase() + highlight.color.slice(1)];
+  if (highlight.page !== undefined) meta.unshift(`Page ${highlight.page}`);
+  if (highlight.created) meta.push(new Date(highlight.created).toLocaleDateString());
+  return meta.join(' · ');
+}
+
+function formatHighlightsMarkdown(books) {
+  const sections = books.map(({ book, highlights }) => {
+    const lines = [`# ${book.title}`, '', `*by ${book.author}*`, ''];
+
+    const details = getExportBookDetails(book);
+    if (details.length > 0) {
+      details.forEach(([label, value]) => lines.push(`- **${label}:** ${value}`));
+      lines.push('');
+    }
+    lines.push(`${highlights.length} highlight${highlights.length === 1 ? '' : 's'}`, '');
+
+    groupHighlightsByChapter(highlights).forEach(group => {
+      if (group.chapter) {
+        lines.push(`## ${group.chapter}`, '');
+      }
+      group.highlights.forEach(highlight => {
+        lines.push(...highlight.text.split('\n').map(line => `> ${line}`), '');
+        if (highlight.note) {
+          lines.push(`**Note:** ${highlight.note}`, '');
+        }
+        lines.push(`*${getExportHighlightMeta(highlight)}*`, '');
+      });
+    });
+
+    return lines.join('\n').trimEnd();
+  });
+
+  return `${sections.join('\n\n---\n\n')}\n`;
+}
+
+function escapeExportHTML(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+function formatHighlightsHTML(books) {
+  const colors = {
+    yellow: '#ffeb3b',
+    green: '#8bc34a',
+    blue: '#64b5f6',
+    pink: '#f48fb1',
+    orange: '#ffb74d'
+  };
+
+  const sections = books.map(({ book, highlights }) => {
+    const details = getExportBookDetails(book)
+      .map(([label, value]) => `<li><strong>${escapeExportHTML(label)}:</strong> ${escapeExportHTML(value)}</li>`)
+      .join('');
+
+    const chapters = groupHighlightsByChapter(highlights).map(group => {
+      const items = group.highlights.map(highlight => `
+      <div class="highlight" style="border-left-color: ${colors[highlight.color] || colors.yellow}">
+        <blockquote>${escapeExportHTML(highlight.text)}</blockquote>
+        ${highlight.note ? `<p class="note">${escapeExportHTML(highlight.note)}</p>` : ''}
+        <p class="meta">${escapeExportHTML(getExportHighlightMeta(highlight))}</p>
+      </div>`).join('');
+      return `${group.chapter ? `\n      <h2>${escapeExportHTML(group.chapter)}</h2>` : ''}${items}`;
+    }).join('');
+
+    return `
+    <section>
+      <h1>${escapeExportHTML(book.title)}</h1>
+      <p class="author">by ${escapeExportHTML(book.author)}</p>
+      ${details ? `<ul class="details">${details}</ul>` : ''}${chapters}
+    </section>`;
+  }).join('\n');
+
+  const title = books.length === 1 ? `Highlights - ${books[0].book.title}` : 'Highlights';
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <title>${escapeExportHTML(title)}</title>
+  <style>
+    body { font-family: Georgia, serif; max-width: 760px; margin: 40px auto; padding: 0 20px; color: #222; line-height: 1.6; }
+    section + section { border-top: 1px solid #ddd; margin-top: 48px; padding-top: 24px; }
+    h1 { margin-bottom: 0; }
+    h2 { margin-top: 32px; font-size: 1.2em; color: #555; }
+    .author { margin-top: 4px; font-style: italic; color: #666; }
+    .details { padding-left: 20px; color: #555; font-size: 0.9em; }
+    .highlight { border-left: 4px solid; padding: 4px 16px; margin: 16px 0; }
+    blockquote { margin: 0; white-space: pre-wrap; }
+    .note { margin: 8px 0 0; padding: 8px; background: #f5f5f5; border-radius: 4px; font-family: sans-serif; font-size: 0.9em; }
+    .meta { margin: 6px 0 0; color: #888; font-family: sans-serif; font-size: 0.8em; }
+  </style>
+</head>
+<body>
+${sections}
+</body>
+</html>
+`;
+}
+
+function escapeCSVField(value) {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function formatHighlightsCSV(books) {
+  const rows = [['Book', 'Author', 'Chapter', 'Page', 'Text', 'Note', 'Color', 'Created']];
+  books.forEach(({ book, highlights }) => {
+    highlights.forEach(highlight => {
+      rows.push([
+        book.title,
+        book.author,
+        highlight.chapter,
+        highlight.page,
+        highlight.text,
+        highlight.note,
+        highlight.color,
+        highlight.created
+      ]);
+    });
+  });
+
+  // Byte order mark so Excel reads the file as UTF-8
+  return '\ufeff' + rows.map(row => row.map(escapeCSVField).join(',')).join('\r\n') + '\r\n';
+}
+
+function formatHighlightsJSON(books) {
+  const data = {
+    format: 'lapbook-highlights',
+    version: 1,
+    exported: new Date().toISOString(),
+    books: books.map(({ book, highlights }) => ({
+      id: book.id,
+      title: book.title,
+      author: book.author,
+      fileType: book.fileType || 'epub',
+      publisher: book.publisher || null,
+      isbn: book.isbn || null,
+      series: book.series || null,
+      seriesIndex: book.seriesIndex ?? null,
+      highlights: highlights.map(highlight => ({
+        id: highlight.id,
+        text: highlight.text,
+        note: highlight.note || '',
+        color: highlight.color,
+        chapter: highlight.chapter || null,
+        tags: highlight.tags || [],
+        created: highlight.created,
+        location: highlight.page !== undefined
+          ? { page: highlight.page, start: highlight.start, end: highlight.end }
+          : { cfi: highlight.cfiRange }
+      }))
+    }))
+  };
+  return JSON.stringify(data, null, 2) + '\n';
+}
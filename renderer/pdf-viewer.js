@@ -5,6 +5,7 @@
 
 // Import PDF.js library
 const pdfjsLib = window.pdfjsLib;
+const PDF_WORKER_SRC = '../node_modules/pdfjs-dist/build/pdf.worker.js';
 
 class PDFViewer {
   constructor() {
@@ -20,6 +21,25 @@ class PDFViewer {
     this.canvas = document.getElementById('pdfCanvas');
     this.ctx = this.canvas ? this.canvas.getContext('2d') : null;
     
+    // Page wrapper holding the canvas, highlight layer and text layer
+    this.pageElement = this.canvas ? this.canvas.parentElement : null;
+    this.textLayer = document.getElementById('pdfTextLayer');
+    this.highlightLayer = document.getElementById('pdfHighlightLayer');
+    this.textDivs = []; // One span per text item of the current page (empty items aren't attached)
+    this.textLayerTask = null;
+    this.highlights = []; // Highlights of the whole document, drawn for the current page
+    
+    // Scrollable container around the page (used for scroll position)
+    this.container = this.canvas ? this.canvas.closest('.pdf-container') : null;
+    
+    // Event listeners registered via on()
+    this.listeners = {};
+    this.scrollTimeout = null;
+    this.handleScroll = this.handleScroll.bind(this);
+    if (this.container) {
+      this.container.addEventListener('scroll', this.handleScroll, { passive: true });
+    }
+    
     // Search state
     this.searchMatches = [];
     this.currentSearchIndex = -1;
@@ -34,7 +54,7 @@ class PDFViewer {
   async loadPDF(arrayBuffer) {
     try {
       // Set worker source for PDF.js
-      pdfjsLib.GlobalWorkerOptions.workerSrc = '../node_modules/pdfjs-dist/build/pdf.worker.js';
+      pdfjsLib.GlobalWorkerOptions.workerSrc = PDF_WORKER_SRC;
       
       // Load the PDF document
       const loadingTask = pdfjsLib.getDocument({ data: arrayBuffer });
@@ -91,6 +111,11 @@ class PDFViewer {
       
       await page.render(renderContext).promise;
       
+      // Selectable text and highlights over the rendered page
+      this.pageElement.style.setProperty('--scale-factor', viewport.scale);
+      await this.renderTextLayer(page, viewport);
+      this.renderHighlights();
+      
       this.pageRendering = false;
       
       // If there's a pending page, render it
@@ -100,8 +125,8 @@ class PDFViewer {
         await this.renderPage(pending);
       }
       
-      // Update page info
-      this.updatePageInfo();
+      // Notify listeners (e.g. to persist reading position)
+      this.emit('pagechange', this.getPosition());
       
     } catch (error) {
       console.error('Error rendering page:', error);
@@ -109,6 +134,175 @@ class PDFViewer {
     }
   }
 
+  /**
+   * Render the transparent text layer used to select text on the page
+   * @param {Object} page - PDF.js page
+   * @param {Object} viewport - Viewport the canvas was rendered with
+   */
+  async renderTextLayer(page, viewport) {
+    if (!this.textLayer) return;
+    
+    if (this.textLayerTask) {
+      this.textLayerTask.cancel();
+    }
+    this.textLayer.innerHTML = '';
+    this.textDivs = [];
+    
+    try {
+      const textContent = await page.getTextContent();
+      this.textLayerTask = pdfjsLib.renderTextLayer({
+        textContentSource: textContent,
+        container: this.textLayer,
+        viewport,
+        textDivs: this.textDivs
+      });
+      await this.textLayerTask.promise;
+    } catch (error) {
+      if (error.name !== 'AbortException') {
+        console.error('Error rendering text layer:', error);
+      }
+    } finally {
+      this.textLayerTask = null;
+    }
+  }
+
+  /**
+   * Set the highlights of the document and draw those on the current page
+   * @param {Array} highlights - Highlights with page and rects
+   */
+  setHighlights(highlights) {
+    this.highlights = highlights;
+    this.renderHighlights();
+  }
+
+  /**
+   * Draw the current page's highlights, scaled to the current zoom
+   */
+  renderHighlights() {
+    if (!this.highlightLayer) return;
+    
+    this.highlightLayer.innerHTML = '';
+    this.highlights
+      .filter(highlight => highlight.page === this.currentPage)
+      .forEach(highlight => {
+        (highlight.rects || []).forEach(rect => {
+          const div = document.createElement('div');
+          div.className = `pdf-highlight color-${highlight.color}`;
+          div.dataset.id = highlight.id;
+          div.style.left = `${rect.x * this.scale}px`;
+          div.style.top = `${rect.y * this.scale}px`;
+          div.style.width = `${rect.width * this.scale}px`;
+          div.style.height = `${rect.height * this.scale}px`;
+          this.highlightLayer.appendChild(div);
+        });
+      });
+  }
+
+  /**
+   * Id of the highlight drawn at a point in the window, if any
+   * (the text layer covers the highlights, so they can't be hit-tested by the DOM)
+   * @returns {string|null}
+   */
+  getHighlightAt(clientX, clientY) {
+    if (!this.highlightLayer) return null;
+    
+    const hit = Array.from(this.highlightLayer.children).find(div => {
+      const rect = div.getBoundingClientRect();
+      return clientX >= rect.left && clientX <= rect.right && clientY >= rect.top && clientY <= rect.bottom;
+    });
+    return hit ? hit.dataset.id : null;
+  }
+
+  /**
+   * Describe the text selected on the current page so it can be highlighted
+   * Positions are text item indexes plus character offsets within the item;
+   * rects are in unscaled page units, so they can be drawn at any zoom.
+   * @returns {Object|null} { page, start, end, rects, text }, null without a selection in the page
+   */
+  getSelectionAnchor() {
+    const selection = window.getSelection();
+    if (!this.textLayer || !selection || selection.isCollapsed || selection.rangeCount === 0) return null;
+    
+    const range = selection.getRangeAt(0);
+    if (!this.textLayer.contains(range.commonAncestorContainer)) return null;
+    
+    const text = selection.toString().replace(/\s+/g, ' ').trim();
+    const start = this.getTextPosition(range.startContainer, range.startOffset, false);
+    const end = this.getTextPosition(range.endContainer, range.endOffset, true);
+    if (!text || !start || !end) return null;
+    
+    return {
+      page: this.currentPage,
+      start,
+      end,
+      rects: this.getTextRects(start, end),
+      text
+    };
+  }
+
+  /**
+   * Convert a DOM selection boundary in the text layer to a text item position
+   * @param {Node} node - Boundary container
+   * @param {number} offset - Boundary offset within the container
+   * @param {boolean} isEnd - Whether this is the end of the selection
+   * @returns {{ item: number, offset: number }|null}
+   */
+  getTextPosition(node, offset, isEnd) {
+    if (node.nodeType === Node.TEXT_NODE) {
+      const item = this.textDivs.indexOf(node.parentElement);
+      return item === -1 ? null : { item, offset };
+    }
+    
+    const spanItem = this.textDivs.indexOf(node);
+    if (spanItem !== -1) {
+      return { item: spanItem, offset: offset === 0 ? 0 : node.textContent.length };
+    }
+    
+    // Boundary between elements (e.g. after a triple click): use the nearest text item
+    const boundary = node.childNodes[offset];
+    const isAfterBoundary = (div) => boundary
+      ? div === boundary || Boolean(boundary.compareDocumentPosition(div) & Node.DOCUMENT_POSITION_FOLLOWING)
+      : (node.compareDocumentPosition(div) & (Node.DOCUMENT_POSITION_FOLLOWING | Node.DOCUMENT_POSITION_CONTAINED_BY)) === Node.DOCUMENT_POSITION_FOLLOWING;
+    
+    const items = this.textDivs
+      .map((div, item) => ({ div, item }))
+      .filter(({ div }) => div.isConnected);
+    if (isEnd) {
+      const before = items.filter(({ div }) => !isAfterBoundary(div)).pop();
+      return before ? { item: before.item, offset: before.div.textContent.length } : null;
+    }
+    const after = items.find(({ div }) => isAfterBoundary(div));
+    return after ? { item: after.item, offset: 0 } : null;
+  }
+
+  /**
+   * Rectangles covering the text between two positions, in unscaled page units
+   */
+  getTextRects(start, end) {
+    const pageRect = this.pageElement.getBoundingClientRect();
+    const round = (value) => Math.round(value / this.scale * 100) / 100;
+    const rects = [];
+    
+    for (let item = start.item; item <= end.item; item++) {
+      const textNode = this.textDivs[item] && this.textDivs[item].firstChild;
+      if (!textNode) continue;
+      
+      const range = document.createRange();
+      range.setStart(textNode, item === start.item ? Math.min(start.offset, textNode.length) : 0);
+      range.setEnd(textNode, item === end.item ? Math.min(end.offset, textNode.length) : textNode.length);
+      const rect = range.getBoundingClientRect();
+      if (rect.width === 0 || rect.height === 0) continue;
+      
+      rects.push({
+        x: round(rect.left - pageRect.left),
+        y: round(rect.top - pageRect.top),
+        width: round(rect.width),
+        height: round(rect.height)
+      });
+    }
+    return rects;
+  }
+
   /**
    * Navigate to next page
    */
@@ -172,7 +366,7 @@ class PDFViewer {
       const viewport = page.getViewport({ scale: 1.0 });
       
       // Get the container width (accounting for padding)
-      const containerWidth = this.canvas.parentElement.clientWidth - 40; // 20px padding on each side
+      const containerWidth = this.container.clientWidth - 40; // 20px padding on each side
       
       // Calculate scale to fit width
       this.scale = containerWidth / viewport.width;
@@ -288,14 +482,88 @@ class PDFViewer {
   }
 
   /**
-   * Update page info display
+   * Get the current reading position (page, zoom and scroll offset)
+   * @returns {Object} Position info
+   */
+  getPosition() {
+    return {
+      page: this.currentPage,
+      totalPages: this.totalPages,
+      scale: this.scale,
+      scrollTop: this.container ? this.container.scrollTop : 0,
+      scrollLeft: this.container ? this.container.scrollLeft : 0,
+      percentage: this.totalPages > 0 ? Math.round((this.currentPage / this.totalPages) * 100) : 0
+    };
+  }
+
+  /**
+   * Restore a previously saved reading position
+   * @param {Object} position - { page, scale, scrollTop, scrollLeft }
+   */
+  async restorePosition(position) {
+    if (!this.pdfDoc || !position) return;
+    
+    if (position.scale) {
+      this.scale = Math.max(0.5, Math.min(3.0, position.scale));
+    }
+    
+    const pageNum = parseInt(position.page) || 1;
+    await this.renderPage(Math.max(1, Math.min(this.totalPages, pageNum)));
+    
+    if (this.container) {
+      this.container.scrollTop = position.scrollTop || 0;
+      this.container.scrollLeft = position.scrollLeft || 0;
+    }
+  }
+
+  /**
+   * Register a listener for viewer events
+   * Supported events: 'pagechange' (called with getPosition() data)
+   * @param {string} event - Event name
+   * @param {Function} callback - Listener function
    */
-  updatePageInfo() {
-    const pageInfoEl = document.getElementById('pageInfo');
-    if (pageInfoEl && this.totalPages > 0) {
-      const percentage = Math.round((this.currentPage / this.totalPages) * 100);
-      pageInfoEl.textContent = `Page ${this.currentPage} / ${this.totalPages} (${percentage}%)`;
+  on(event, callback) {
+    if (!this.listeners[event]) {
+      this.listeners[event] = [];
     }
+    this.listeners[event].push(callback);
+  }
+
+  /**
+   * Remove a previously registered listener
+   * @param {string} event - Event name
+   * @param {Function} callback - Listener function
+   */
+  off(event, callback) {
+    if (!this.listeners[event]) return;
+    this.listeners[event] = this.listeners[event].filter(cb => cb !== callback);
+  }
+
+  /**
+   * Call all listeners registered for an event
+   * @param {string} event - Event name
+   * @param {*} data - Event payload
+   */
+  emit(event, data) {
+    (this.listeners[event] || []).forEach(callback => {
+      try {
+        callback(data);
+      } catch (error) {
+        console.error(`Error in PDF viewer '${event}' listener:`, error);
+      }
+    });
+  }
+
+  /**
+   * Report scroll position changes (debounced) so it can be persisted
+   */
+  handleScroll() {
+    clearTimeout(this.scrollTimeout);
+    this.scrollTimeout = setTimeout(() => {
+      if (this.pdfDoc && !this.pageRendering) {
+        this.emit('pagechange', this.getPosition());
+      }
+    }, 500);
   }
 
   /**
@@ -344,6 +612,42 @@ class PDFViewer {
     }
   }
 
+  /**
+   * Convert a PDF date (e.g. D:20200315120000+01'00') to YYYY-MM-DD
+   * @returns {string|null}
+   */
+  static parsePDFDate(value) {
+    const match = typeof value === 'string' && value.match(/^(?:D:)?(\d{4})(\d{2})?(\d{2})?/);
+    if (!match) return null;
+    return [match[1], match[2], match[3]].filter(Boolean).join('-');
+  }
+
+  /**
+   * Read metadata from PDF data without rendering it
+   * Used when importing books, so the open document's canvas is left alone
+   * @param {ArrayBuffer} arrayBuffer - PDF file data
+   * @returns {Promise<Object>} PDF metadata
+   */
+  static async readMetadata(arrayBuffer) {
+    pdfjsLib.GlobalWorkerOptions.workerSrc = PDF_WORKER_SRC;
+    const pdfDoc = await pdfjsLib.getDocument({ data: arrayBuffer }).promise;
+    
+    try {
+      const metadata = await pdfDoc.getMetadata();
+      return {
+        title: metadata.info?.Title || 'Untitled PDF',
+        author: metadata.info?.Author || 'Unknown',
+        subject: metadata.info?.Subject || '',
+        keywords: metadata.info?.Keywords || '',
+        language: metadata.info?.Language || null,
+        creationDate: PDFViewer.parsePDFDate(metadata.info?.CreationDate),
+        pages: pdfDoc.numPages
+      };
+    } finally {
+      pdfDoc.destroy();
+    }
+  }
+
   /**
    * Try to extract table of contents (outline)
    * @returns {Promise<Array>} TOC items
@@ -357,21 +661,22 @@ class PDFViewer {
       
       // Convert outline to flat structure
       const tocItems = [];
-      const processOutlineItems = (items, level = 1) => {
+      const processOutlineItems = async (items, level = 1) => {
         for (const item of items) {
           tocItems.push({
             title: item.title,
             level: level,
             dest: item.dest,
+            page: await this.getDestinationPage(item.dest),
             items: item.items || []
           });
           if (item.items && item.items.length > 0) {
-            processOutlineItems(item.items, level + 1);
+            await processOutlineItems(item.items, level + 1);
           }
         }
       };
       
-      processOutlineItems(outline);
+      await processOutlineItems(outline);
       return tocItems;
     } catch (error) {
       console.error('Error getting outline:', error);
@@ -379,10 +684,42 @@ class PDFViewer {
     }
   }
 
+  /**
+   * Page number an outline destination points to
+   * @param {string|Array} dest - Named or explicit destination
+   * @returns {Promise<number|null>} 1-based page number
+   */
+  async getDestinationPage(dest) {
+    try {
+      const explicitDest = typeof dest === 'string' ? await this.pdfDoc.getDestination(dest) : dest;
+      if (!Array.isArray(explicitDest)) return null;
+      
+      const pageRef = explicitDest[0];
+      const pageIndex = typeof pageRef === 'number' ? pageRef : await this.pdfDoc.getPageIndex(pageRef);
+      return pageIndex + 1;
+    } catch (error) {
+      return null;
+    }
+  }
+
   /**
    * Clean up resources
    */
   destroy() {
+    clearTimeout(this.scrollTimeout);
+    if (this.container) {
+      this.container.removeEventListener('scroll', this.handleScroll);
+    }
+    this.listeners = {};
+    
+    if (this.textLayerTask) {
+      this.textLayerTask.cancel();
+    }
+    if (this.textLayer) this.textLayer.innerHTML = '';
+    if (this.highlightLayer) this.highlightLayer.innerHTML = '';
+    this.textDivs = [];
+    this.highlights = [];
+    
     if (this.pdfDoc) {
       this.pdfDoc.destroy();
       this.pdfDoc = null;
@@ -0,0 +1,369 @@
+/**
+ * Reading Tracker - records reading sessions and the time spent reading
+ * Only active time counts: the clock pauses when the window loses focus or
+ * the reader has been idle for a while. Totals are kept per day and per book
+ * and saved to stats.json next to the library.
+ */
+
+const IDLE_TIMEOUT = 3 * 60 * 1000; // Pause after 3 minutes without input or page turns
+const TICK_INTERVAL = 30 * 1000; // Credit active time (and save) every 30 seconds
+const MIN_SESSION_SECONDS = 30; // Shorter visits (e.g. looking something up) aren't sessions
+const MAX_SESSIONS = 5000; // Oldest sessions are dropped; day and book totals are kept
+const DEFAULT_SECONDS_PER_UNIT = { epub: 60, pdf: 90 }; // Per EPUB location (~1024 characters) or PDF page
+const RECENT_SPEED_SAMPLES = 20;
+
+class ReadingTracker {
+  constructor() {
+    this.stats = { days: {}, books: {}, sessions: [], speed: {} };
+    this.session = null; // Session in progress (also the last entry of stats.sessions)
+    this.lastLocation = null; // CFI or page number of the last location change
+    this.activeSince = null; // Start of the current active stretch, null while paused
+    this.lastActivity = 0;
+    this.idleTimer = null;
+    this.tickTimer = null;
+    this.speedAnchor = null; // Last position a reading speed is measured from
+    this.recentSpeeds = []; // Seconds per unit for the latest page turns in this session
+  }
+
+  /**
+   * Load saved statistics and start listening for focus changes
+   */
+  async load() {
+    try {
+      const saved = await window.electronAPI.loadStats();
+      if (saved) {
+        this.stats = { days: {}, books: {}, sessions: [], speed: {}, ...saved };
+      }
+    } catch (error) {
+      console.error('Error loading reading stats:', error);
+    }
+
+    window.addEventListener('blur', () => {
+      // Clicking into the book's iframe also blurs the window - only pause if focus left LapBook
+      setTimeout(() => {
+        if (!document.hasFocus()) this.pause();
+      }, 0);
+    });
+    window.addEventListener('focus', () => this.recordActivity());
+    document.addEventListener('visibilitychange', () => {
+      if (document.hidden) this.pause();
+    });
+    ['keydown', 'mousedown', 'wheel'].forEach(type => {
+      document.addEventListener(type, () => this.recordActivity(), { passive: true });
+    });
+  }
+
+  /**
+   * Save statistics to disk
+   */
+  async save() {
+    try {
+      await window.electronAPI.saveStats(this.stats);
+    } catch (error) {
+      console.error('Error saving reading stats:', error);
+    }
+  }
+
+  /**
+   * Start a session for a book, ending any session in progress
+   * @param {string} bookId - Library id of the book
+   * @param {number} progress - Reading progress (0-100) when the session starts
+   */
+  startSession(bookId, progress = 0) {
+    this.endSession();
+
+    this.session = {
+      bookId,
+      start: new Date().toISOString(),
+      end: null,
+      seconds: 0,
+      pages: 0,
+      startProgress: progress,
+      endProgress: progress
+    };
+    this.stats.sessions.push(this.session);
+    this.lastLocation = null;
+    this.speedAnchor = null;
+    this.recentSpeeds = [];
+    this.recordActivity();
+  }
+
+  /**
+   * Record a location change in the open book
+   * Every move to a new location counts as a page read.
+   * @param {string|number} location - CFI (EPUB) or page number (PDF)
+   * @param {number|null} progress - Reading progress (0-100), null while unknown
+   */
+  recordLocation(location, progress) {
+    if (!this.session) return;
+
+    if (this.lastLocation !== null && location !== this.lastLocation) {
+      this.session.pages++;
+      this.getDay(new Date()).pages++;
+      this.getBook(this.session.bookId).pages++;
+    }
+    this.lastLocation = location;
+    if (progress !== null) {
+      this.session.endProgress = progress;
+    }
+    this.recordActivity();
+  }
+
+  /**
+   * Record the numeric position in the open book to measure reading speed
+   * Only steady forward reading counts - jumps, skimming and breaks are ignored.
+   * @param {string} format - 'epub' (position is a location index) or 'pdf' (a page number)
+   * @param {number} position - Current location index or page
+   */
+  recordPosition(format, position) {
+    if (!this.session) return;
+
+    const now = Date.now();
+    const anchor = this.speedAnchor;
+    if (!anchor || anchor.format !== format || position < anchor.position) {
+      this.speedAnchor = { format, position, time: now };
+      return;
+    }
+    if (position === anchor.position) return; // Still within the same location
+
+    const moved = position - anchor.position;
+    const secondsPerUnit = (now - anchor.time) / 1000 / moved;
+    this.speedAnchor = { format, position, time: now };
+    if (moved > 5 || secondsPerUnit < 3 || secondsPerUnit > 600) return;
+
+    this.recentSpeeds.push(secondsPerUnit);
+    if (this.recentSpeeds.length > RECENT_SPEED_SAMPLES) this.recentSpeeds.shift();
+
+    // The long-term estimate moves slowly so one odd session doesn't skew it
+    const saved = this.stats.speed[format];
+    this.stats.speed[format] = saved ? saved * 0.95 + secondsPerUnit * 0.05 : secondsPerUnit;
+  }
+
+  /**
+   * Estimated reading time per EPUB location or PDF page
+   * Uses this session's recent page turns once there are enough of them,
+   * otherwise the long-term estimate for this user.
+   */
+  getSecondsPerUnit(format) {
+    const recent = this.speedAnchor && this.speedAnchor.format === format ? this.recentSpeeds : [];
+    if (recent.length >= 5) {
+      const sorted = [...recent].sort((a, b) => a - b);
+      return sorted[Math.floor(sorted.length / 2)];
+    }
+    return this.stats.speed[format] || DEFAULT_SECONDS_PER_UNIT[format];
+  }
+
+  /**
+   * Note that the reader is active, resuming the clock if it was paused
+   */
+  recordActivity() {
+    if (!this.session || document.hidden || !document.hasFocus()) return;
+
+    this.lastActivity = Date.now();
+    if (!this.activeSince) {
+      this.activeSince = this.lastActivity;
+      this.tickTimer = setInterval(() => this.tick(), TICK_INTERVAL);
+    }
+
+    clearTimeout(this.idleTimer);
+    this.idleTimer = setTimeout(() => this.pause(this.lastActivity), IDLE_TIMEOUT);
+  }
+
+  /**
+   * Stop the clock
+   * @param {number} until - Time to credit up to (the last activity when idle)
+   */
+  pause(until = Date.now()) {
+    if (!this.activeSince) return;
+
+    this.creditTime(until);
+    this.activeSince = null;
+    clearInterval(this.tickTimer);
+    clearTimeout(this.idleTimer);
+    this.save();
+  }
+
+  /**
+   * Credit the time read so far while the clock keeps running
+   */
+  tick() {
+    if (!this.activeSince) return;
+    this.creditTime(Date.now());
+    this.save();
+  }
+
+  /**
+   * Add active time since activeSince to the session, day and book totals
+   */
+  creditTime(until) {
+    const seconds = Math.max(0, Math.round((until - this.activeSince) / 1000));
+    this.activeSince = until;
+    if (seconds === 0) return;
+
+    this.session.seconds += seconds;
+    this.session.end = new Date(until).toISOString();
+    this.getDay(new Date(until)).seconds += seconds;
+
+    const bookStats = this.getBook(this.session.bookId);
+    bookStats.seconds += seconds;
+    bookStats.lastRead = this.session.end;
+  }
+
+  /**
+   * End the session in progress (closing the book or the app)
+   */
+  endSession() {
+    if (!this.session) return;
+
+    this.pause();
+    const session = this.session;
+    this.session = null;
+
+    if (session.seconds < MIN_SESSION_SECONDS) {
+      // Too short to count as a session, but its time and pages stay in the totals
+      this.stats.sessions.splice(this.stats.sessions.indexOf(session), 1);
+    } else {
+      this.getBook(session.bookId).sessions++;
+      this.getDay(new Date(session.start)).sessions++;
+      console.log(`Reading session: ${Math.round(session.seconds / 60)} min, ${session.pages} pages`);
+    }
+
+    if (this.stats.sessions.length > MAX_SESSIONS) {
+      this.stats.sessions.splice(0, this.stats.sessions.length - MAX_SESSIONS);
+    }
+    this.save();
+  }
+
+  /**
+   * Totals for one day, created on first use
+   */
+  getDay(date) {
+    const key = ReadingTracker.dayKey(date);
+    if (!this.stats.days[key]) {
+      this.stats.days[key] = { seconds: 0, pages: 0, sessions: 0 };
+    }
+    return this.stats.days[key];
+  }
+
+  /**
+   * Totals for one book, created on first use
+   */
+  getBook(bookId) {
+    if (!this.stats.books[bookId]) {
+      this.stats.books[bookId] = { seconds: 0, pages: 0, sessions: 0, lastRead: null };
+    }
+    return this.stats.books[bookId];
+  }
+
+  /**
+   * Local calendar date as YYYY-MM-DD
+   */
+  static dayKey(date) {
+    const pad = (n) => String(n).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+  }
+
+  /**
+   * Reading time and pages for each of the last few days, oldest first
+   * @returns {Array<{ date: Date, seconds: number, pages: number }>}
+   */
+  getDailyTotals(dayCount) {
+    const totals = [];
+    for (let i = dayCount - 1; i >= 0; i--) {
+      const date = new Date();
+      date.setDate(date.getDate() - i);
+      const day = this.stats.days[ReadingTracker.dayKey(date)] || { seconds: 0, pages: 0 };
+      totals.push({ date, seconds: day.seconds, pages: day.pages });
+    }
+    return totals;
+  }
+
+  /**
+   * Reading time and pages for each of the last few weeks (starting Monday), oldest first
+   * @returns {Array<{ date: Date, seconds: number, pages: number }>}
+   */
+  getWeeklyTotals(weekCount) {
+    const monday = new Date();
+    monday.setDate(monday.getDate() - ((monday.getDay() + 6) % 7));
+
+    const totals = [];
+    for (let week = weekCount - 1; week >= 0; week--) {
+      const start = new Date(monday);
+      start.setDate(start.getDate() - week * 7);
+
+      const total = { date: start, seconds: 0, pages: 0 };
+      for (let i = 0; i < 7; i++) {
+        const date = new Date(start);
+        date.setDate(date.getDate() + i);
+        const day = this.stats.days[ReadingTracker.dayKey(date)];
+        if (day) {
+          total.seconds += day.seconds;
+          total.pages += day.pages;
+        }
+      }
+      totals.push(total);
+    }
+    return totals;
+  }
+
+  /**
+   * Current and longest runs of consecutive reading days
+   * Today doesn't break the current streak until it's over.
+   * @returns {{ current: number, longest: number }}
+   */
+  getStreaks() {
+    const readDays = new Set(Object.keys(this.stats.days).filter(key => this.stats.days[key].seconds > 0));
+
+    let longest = 0;
+    let run = 0;
+    let previous = null;
+    [...readDays].sort().forEach(key => {
+      const date = new Date(`${key}T12:00:00`);
+      const isNextDay = previous && Math.round((date - previous) / 86400000) === 1;
+      run = isNextDay ? run + 1 : 1;
+      longest = Math.max(longest, run);
+      previous = date;
+    });
+
+    let current = 0;
+    const date = new Date();
+    if (!readDays.has(ReadingTracker.dayKey(date))) {
+      date.setDate(date.getDate() - 1);
+    }
+    while (readDays.has(ReadingTracker.dayKey(date))) {
+      current++;
+      date.setDate(date.getDate() - 1);
+    }
+
+    return { current, longest };
+  }
+
+  /**
+   * Average reading speed over all sessions
+   * @returns {{ pagesPerHour: number, percentPerHour: number }|null} null until enough has been read
+   */
+  getAverageSpeed() {
+    let seconds = 0;
+    let pages = 0;
+    let percent = 0;
+    this.stats.sessions.forEach(session => {
+      seconds += session.seconds;
+      pages += session.pages;
+      percent += Math.max(0, session.endProgress - session.startProgress);
+    });
+
+    if (seconds < 600) return null; // Less than 10 minutes isn't a meaningful average
+    const hours = seconds / 3600;
+    return {
+      pagesPerHour: Math.round(pages / hours),
+      percentPerHour: Math.round((percent / hours) * 10) / 10
+    };
+  }
+
+  /**
+   * Total reading time over all days, in seconds
+   */
+  getTotalSeconds() {
+    return Object.values(this.stats.days).reduce((sum, day) => sum + day.seconds, 0);
+  }
+}
@@ -13,8 +13,10 @@ let currentFileType = null; // 'epub' or 'pdf'
 let settingsManager = null; // Settings manager instance
 let currentSearchResults = []; // Store search results
 let highlights = []; // Store highlights for current book
+let bookmarks = []; // Bookmarks for current book (saved in the same file as its highlights)
 let bookIdentifier = null; // Unique identifier for current book
 let selectedCfiRange = null; // Currently selected text CFI range
+let selectedPDFAnchor = null; // Currently selected PDF text (page, text item offsets and rects)
 let selectedColor = 'yellow'; // Currently selected highlight color
 let currentSearchIndex = 0; // Current position in search results
 let searchAnnotations = []; // Track search result annotations
@@ -24,6 +26,21 @@ let libraryViewMode = 'grid'; // 'grid' or 'list'
 let currentBookPath = null; // Currently open book path
 let pdfJsLoaded = false; // Track if PDF.js is loaded
 let pdfViewerLoaded = false; // Track if PDF viewer is loaded
+let importQueue = []; // Book files waiting to be imported ({ filePath, report })
+let importRunning = false; // Whether the import queue is being processed
+let collections = []; // User-defined shelves ({ id, name, createdDate }); books list their shelf ids
+let libraryFilter = { type: 'all', value: null }; // Sidebar selection: 'all', 'collection' or 'tag'
+let librarySelectMode = false; // Whether clicking a book card selects it
+let selectedBookIds = new Set(); // Books selected for bulk shelf/tag changes
+let readingTracker = null; // Reading session and statistics tracker
+let sectionLocationRanges = null; // Spine index -> { first, last } location, once locations are generated
+const CHARS_PER_LOCATION = 1024; // Size of a generated EPUB location
+let scrubberChapters = []; // Chapter starts shown as ticks on the progress scrubber ({ title, fraction })
+let scrubberUndoPosition = null; // CFI or page to return to after a scrubber jump
+let navigationHistory = { back: [], forward: [] }; // Positions (CFI or PDF page) around jumps in the open book
+const MAX_NAVIGATION_HISTORY = 50;
+let openingBook = false; // Whether a book is being loaded (positions reported meanwhile aren't the reader's)
+let autoFinishArmed = false; // Whether the reader has been short of the end since the book opened
 
 // ============================================
 // Initialization
@@ -33,7 +50,11 @@ document.addEventListener('DOMContentLoaded', async () => {
   settingsManager = new SettingsManager();
   await settingsManager.load();
   
-  // Load library
+  readingTracker = new ReadingTracker();
+  await readingTracker.load();
+  
+  // Load library (on the shelf or tag chosen last time)
+  libraryFilter = settingsManager.get('libraryShelf') || libraryFilter;
   await loadLibrary();
   
   // Show library view by default
@@ -45,6 +66,12 @@ document.addEventListener('DOMContentLoaded', async () => {
   
   // Set up all event listeners
   setupEventListeners();
+  setupSelectionBar();
+  setupLibraryToolbar();
+  setupNotebook();
+  setupSeriesToast();
+  setupDragAndDrop();
+  setupProgressScrubber();
   
   // Apply saved settings to UI controls
   updateUIFromSettings();
@@ -54,6 +81,19 @@ document.addEventListener('DOMContentLoaded', async () => {
     await loadBook(filePath);
   });
   
+  // Listen for books opened from the command line or a file association
+  // while LapBook is already running
+  window.electronAPI.onOpenBookRequest(openBookRequest);
+  
+  // Listen for bulk imports from the File menu
+  window.electronAPI.onImportBooks((filePaths, folder) => {
+    if (folder) {
+      importBooksFromFolder(filePaths, folder);
+    } else {
+      queueBookImports(filePaths, { report: true });
+    }
+  });
+  
   // Listen for show about dialog
   window.electronAPI.onShowAbout(() => {
     showAboutDialog();
@@ -74,12 +114,27 @@ document.addEventListener('DOMContentLoaded', async () => {
     showTermsDialog();
   });
   
+  // Import books from the library folders and keep watching them
+  window.electronAPI.onLibraryScanProgress(handleLibraryScanProgress);
+  window.electronAPI.onLibraryFolderFiles(handleLibraryFolderFiles);
+  window.electronAPI.onLibraryFolderChange(handleLibraryFolderChange);
+  startWatchingLibraryFolders();
+  
   // Listen for app closing to cleanup resources
   window.electronAPI?.onAppClosing?.(() => {
     cleanup();
   });
   
+  // Runs in the background so the window responds while files are checked
+  checkLibraryFiles();
+  
   console.log('LapBook initialized');
+  
+  // Open the book LapBook was launched with, if any
+  const launchRequest = await window.electronAPI.getLaunchRequest();
+  if (launchRequest) {
+    await openBookRequest(launchRequest);
+  }
 });
 
 /**
@@ -127,6 +182,8 @@ async function loadPDFLibraries() {
  */
 function cleanup() {
   try {
+    readingTracker.endSession();
+    
     // Destroy EPUB resources
     if (rendition) {
       rendition.destroy();
@@ -146,6 +203,7 @@ function cleanup() {
     // Clear arrays to free memory
     currentSearchResults = [];
     highlights = [];
+    bookmarks = [];
     searchAnnotations = [];
     library = [];
     
@@ -164,6 +222,17 @@ function setupEventListeners() {
   document.getElementById('welcomeOpenBtn').addEventListener('click', openFileDialog);
   document.getElementById('addBookBtn').addEventListener('click', () => addBookToLibrary());
   document.getElementById('addBookBtnEmpty').addEventListener('click', () => addBookToLibrary());
+  document.getElementById('addFolderBtn').addEventListener('click', importFolder);
+  document.getElementById('statsBtn').addEventListener('click', showStatsDialog);
+  document.getElementById('exportLibraryHighlightsBtn').addEventListener('click', () => showExportHighlightsDialog('library'));
+  document.getElementById('importHighlightsBtn').addEventListener('click', importAnnotations);
+  document.getElementById('exportBookHighlightsBtn').addEventListener('click', () => showExportHighlightsDialog('book'));
+  document.getElementById('exportHighlightsBtn').addEventListener('click', exportHighlights);
+  document.getElementById('cancelExportHighlightsBtn').addEventListener('click', closeExportHighlightsDialog);
+  document.getElementById('closeStatsBtn').addEventListener('click', () => {
+    document.getElementById('statsDialog').classList.add('hidden');
+  });
+  document.getElementById('statsChartRange').addEventListener('change', renderStatsChart);
   document.getElementById('libraryViewToggle').addEventListener('click', toggleLibraryView);
   document.getElementById('backToLibraryBtn').addEventListener('click', backToLibrary);
   
@@ -181,6 +250,7 @@ function setupEventListeners() {
   
   // Keyboard navigation
   document.addEventListener('keydown', handleKeyboardNavigation);
+  document.addEventListener('mouseup', handleHistoryMouseButtons);
   
   // Mouse wheel navigation (on viewer area only)
   document.getElementById('viewer').addEventListener('wheel', handleMouseWheel, { passive: false });
@@ -191,6 +261,11 @@ function setupEventListeners() {
   document.getElementById('settingsBtn').addEventListener('click', () => togglePanel('settingsPanel'));
   document.getElementById('highlightBtn').addEventListener('click', openHighlightDialog);
   document.getElementById('viewHighlightsBtn').addEventListener('click', () => togglePanel('highlightsPanel'));
+  document.getElementById('bookmarkBtn').addEventListener('click', toggleBookmark);
+  document.getElementById('bookmarkRibbon').addEventListener('click', showBookmarksPanel);
+  document.querySelectorAll('.panel-tab').forEach(tab => {
+    tab.addEventListener('click', () => showAnnotationsTab(tab.dataset.list));
+  });
   
   // Fullscreen toggle
   const fullscreenBtn = document.getElementById('fullscreenBtn');
@@ -219,7 +294,11 @@ function setupEventListeners() {
   document.getElementById('textAlignmentSelect').addEventListener('change', changeTextAlignment);
   document.getElementById('mouseWheelToggle').addEventListener('change', toggleMouseWheelNav);
   document.getElementById('animationToggle').addEventListener('change', togglePageAnimation);
+  document.querySelectorAll('.status-field-toggle').forEach(toggle => {
+    toggle.addEventListener('change', changeStatusBarFields);
+  });
   document.getElementById('resetAllSettingsBtn').addEventListener('click', resetAllSettings);
+  document.getElementById('addWatchedFolderBtn').addEventListener('click', addWatchedFolder);
   
   // Individual reset buttons
   document.getElementById('resetLineSpacingBtn').addEventListener('click', () => resetIndividualSetting('lineSpacing'));
@@ -243,6 +322,7 @@ function setupEventListeners() {
   // Edit book dialog
   document.getElementById('saveEditBookBtn').addEventListener('click', saveEditedBook);
   document.getElementById('cancelEditBookBtn').addEventListener('click', cancelEditBook);
+  setupBookDetailsDialog();
   
   // Context menu for text selection
   document.getElementById('contextHighlightBtn').addEventListener('click', openHighlightDialog);
@@ -252,23 +332,42 @@ function setupEventListeners() {
   // Dictionary dialog
   document.getElementById('closeDictionaryBtn').addEventListener('click', closeDictionaryDialog);
   
+  // Text selection in PDFs (EPUB selections are reported by epub.js)
+  document.getElementById('pdfViewer').addEventListener('mouseup', handlePDFTextSelection);
+  
   // Hide context menu when clicking anywhere
   document.addEventListener('click', (e) => {
     const menu = document.getElementById('textContextMenu');
-    if (!menu.contains(e.target)) {
-      hideContextMenu();
-    }
+    if (menu.contains(e.target)) return;
+    // The click ending a PDF text selection mustn't close the menu it just opened
+    if (selectedPDFAnchor && e.target.closest('#pdfViewer')) return;
+    hideContextMenu();
   });
   
   // Color picker buttons
-  document.querySelectorAll('.color-btn').forEach(btn => {
+  document.querySelectorAll('#highlightDialog .color-btn').forEach(btn => {
     btn.addEventListener('click', (e) => {
-      document.querySelectorAll('.color-btn').forEach(b => b.classList.remove('selected'));
+      document.querySelectorAll('#highlightDialog .color-btn').forEach(b => b.classList.remove('selected'));
       e.target.classList.add('selected');
       selectedColor = e.target.dataset.color;
     });
   });
   
+  // Highlight editor
+  document.querySelectorAll('#highlightEditorColors .color-btn').forEach(btn => {
+    btn.addEventListener('click', (e) => {
+      if (!highlightEditor) return;
+      document.querySelectorAll('#highlightEditorColors .color-btn').forEach(b => b.classList.remove('selected'));
+      e.target.classList.add('selected');
+      highlightEditor.color = e.target.dataset.color;
+      renderHighlightEditorText();
+    });
+  });
+  document.getElementById('saveHighlightEditBtn').addEventListener('click', saveHighlightEdit);
+  document.getElementById('deleteEditedHighlightBtn').addEventListener('click', deleteEditedHighlight);
+  document.getElementById('cancelHighlightEditBtn').addEventListener('click', closeHighlightEditor);
+  setupHighlightEditorHandles();
+  
   // Set default selected color
   document.querySelector('.color-btn[data-color="yellow"]').classList.add('selected');
   
@@ -391,27 +490,107 @@ async function openFileDialog() {
   }
 }
 
-async function loadBook(filePath) {
+/**
+ * Load a book for reading
+ * @param {string} filePath
+ * @param {Object} [options] - { restorePosition }: async function moving to the
+ *   position to open at, run before the book counts as opened
+ */
+async function loadBook(filePath, options = {}) {
   try {
     console.log('Loading book:', filePath);
     
     // Store current book path
+    // The previous book's session ends here so nothing read during the load is credited to it
+    readingTracker.endSession();
     currentBookPath = filePath;
+    bookIdentifier = null;
+    hideUndoJump();
+    navigationHistory = { back: [], forward: [] };
+    bookmarks = [];
     
     // Determine file type
     const extension = filePath.split('.').pop().toLowerCase();
     
+    openingBook = true;
+    autoFinishArmed = false;
+    let loaded;
     if (extension === 'pdf') {
-      await loadPDF(filePath);
+      loaded = await loadPDF(filePath);
     } else if (extension === 'epub') {
-      await loadEPUB(filePath);
+      loaded = await loadEPUB(filePath);
     } else {
       throw new Error('Unsupported file format. Only EPUB and PDF files are supported.');
     }
     
+    if (loaded && options.restorePosition) {
+      await options.restorePosition();
+    }
+    if (loaded) {
+      await waitForLocationReport();
+    }
+    
+    // Every way of opening a book (library, File > Open, drag and drop) starts reading it
+    const entry = library.find(b => b.id === bookIdentifier) || library.find(b => b.path === filePath);
+    if (loaded && entry) {
+      await startReadingBook(entry);
+    }
+    
+    // Start timing the reading session
+    if (loaded) {
+      readingTracker.startSession(bookIdentifier, entry ? entry.progress || 0 : 0);
+    }
+    
   } catch (error) {
     console.error('Error loading book:', error);
     alert('Failed to load book: ' + error.message);
+  } finally {
+    openingBook = false;
+  }
+}
+
+/**
+ * Wait for epub.js to report the position it displayed (a frame after display resolves)
+ */
+function waitForLocationReport() {
+  if (currentFileType !== 'epub' || !rendition) return Promise.resolve();
+  
+  return new Promise(resolve => {
+    const done = () => {
+      clearTimeout(timeout);
+      if (rendition) rendition.off('relocated', done);
+      resolve();
+    };
+    const timeout = setTimeout(done, 1000);
+    rendition.on('relocated', done);
+  });
+}
+
+/**
+ * Record that a book was opened, moving it to "reading"
+ * Reopening a finished book starts a re-read from where it was left.
+ */
+async function startReadingBook(entry) {
+  entry.lastOpened = new Date().toISOString();
+  if (['unread', 'want-to-read', 'finished'].includes(getReadingStatus(entry))) {
+    setReadingStatus(entry, 'reading', { keepPosition: true });
+  }
+  await saveLibrary();
+}
+
+/**
+ * Mark the open book finished when the reader reaches its end
+ * Positions reported while the book opens don't count, and the end only
+ * counts once the reader has been somewhere before it - reopening a book
+ * on its last page doesn't finish it again.
+ * @param {boolean} atEnd - Whether the new position is the end of the book
+ */
+function checkBookFinished(book, atEnd) {
+  if (openingBook) return;
+  if (!atEnd) {
+    autoFinishArmed = true;
+  } else if (autoFinishArmed && getReadingStatus(book) === 'reading') {
+    setReadingStatus(book, 'finished');
   }
 }
 
@@ -461,6 +640,9 @@ async function loadPDF(filePath) {
     const metadata = pdfViewer ? await pdfViewer.getMetadata() : { title: null, author: null };
     console.log('PDF metadata:', metadata);
     
+    // Track page, zoom and scroll changes to persist reading position
+    pdfViewer.on('pagechange', onPDFPageChange);
+    
     // Update UI for PDF mode
     showPDFViewer();
     updatePDFControls(true);
@@ -472,10 +654,23 @@ async function loadPDF(filePath) {
       displayPDFOutline(outline);
     }
     
+    // Top-level outline entries mark the chapters on the progress scrubber
+    const lastPage = Math.max(pdfViewer.totalPages - 1, 1);
+    setScrubberChapters(outline
+      .filter(item => item.level === 1 && item.page)
+      .map(item => ({ title: item.title, fraction: (item.page - 1) / lastPage })));
+    updateProgressScrubber();
+    
     // Add to library if not already there
     await addBookToLibrary(filePath, metadata.title || 'Untitled PDF', metadata.author || 'Unknown', 'pdf');
     
+    // Identify the PDF so it shares the library's content-hash identity
+    await generateBookIdentifier();
+    await loadHighlights();
+    applyHighlights();
+    
     console.log('PDF loaded successfully');
+    return true;
   } catch (error) {
     console.error('Error loading PDF:', error);
     const errorMsg = error.message || 'Unknown error';
@@ -563,6 +758,12 @@ async function loadEPUB(filePath) {
       flow: 'paginated', // Use pagination instead of scrolling
       snap: true // Snap to page boundaries
     });
+    rendition.hooks.content.register(setupIframeDragAndDrop);
+    rendition.hooks.content.register(setupIframeNavigationHistory);
+    rendition.on('keydown', handleHistoryKeys);
+    rendition.on('keydown', handleBookmarkKeys);
+    rendition.on('mouseup', handleHistoryMouseButtons);
+    rendition.on('click', handleHighlightClick);
     console.log('Rendition created');
     
     // Show the viewer FIRST before trying to display
@@ -656,7 +857,11 @@ async function loadEPUB(filePath) {
     // Set up location tracking
     rendition.on('relocated', onLocationChange);
     
+    // Locations give page-independent positions for progress and time estimates
+    generateLocations();
+    
     console.log('EPUB loaded successfully');
+    return true;
   } catch (error) {
     console.error('Error loading EPUB:', error);
     const errorMsg = error.message || 'Unknown error';
@@ -682,6 +887,7 @@ async function loadEPUB(filePath) {
       book.destroy();
       book = null;
     }
+    return false;
   }
 }
 
@@ -750,8 +956,6 @@ function updatePDFControls(isPDF) {
   const fontSelect = document.getElementById('fontSelect');
   const fontIncreaseBtn = document.getElementById('fontIncreaseBtn');
   const fontDecreaseBtn = document.getElementById('fontDecreaseBtn');
-  const highlightBtn = document.getElementById('highlightBtn');
-  const viewHighlightsBtn = document.getElementById('viewHighlightsBtn');
   
   if (isPDF) {
     // Enable zoom controls
@@ -768,15 +972,11 @@ function updatePDFControls(isPDF) {
     fontSelect.disabled = true;
     fontIncreaseBtn.disabled = true;
     fontDecreaseBtn.disabled = true;
-    highlightBtn.disabled = true;
-    viewHighlightsBtn.disabled = true;
     
     // Update tooltips to explain why disabled
     fontSelect.title = 'Font customization not available for PDFs';
     fontIncreaseBtn.title = 'Font size not available for PDFs (use zoom instead)';
     fontDecreaseBtn.title = 'Font size not available for PDFs (use zoom instead)';
-    highlightBtn.title = 'Highlights not yet supported for PDFs';
-    viewHighlightsBtn.title = 'Highlights not yet supported for PDFs';
   } else {
     // Disable zoom controls
     zoomInBtn.disabled = true;
@@ -792,15 +992,11 @@ function updatePDFControls(isPDF) {
     fontSelect.disabled = false;
     fontIncreaseBtn.disabled = false;
     fontDecreaseBtn.disabled = false;
-    highlightBtn.disabled = false;
-    viewHighlightsBtn.disabled = false;
     
     // Restore original tooltips
     fontSelect.title = 'Select font family';
     fontIncreaseBtn.title = 'Increase font size';
     fontDecreaseBtn.title = 'Decrease font size';
-    highlightBtn.title = 'Highlight selected text';
-    viewHighlightsBtn.title = 'View all highlights';
   }
 }
 
@@ -853,9 +1049,15 @@ function goToPreviousPage() {
 function handleKeyboardNavigation(e) {
   if (!rendition && !pdfViewer) return;
   
+  // Keep the page still while a highlight on it is being edited
+  if (highlightEditor) return;
+  
   // Don't interfere with input fields or textareas
   if (e.target.tagName === 'INPUT' || e.target.tagName === 'TEXTAREA') return;
   
+  if (handleHistoryKeys(e)) return;
+  if (handleBookmarkKeys(e)) return;
+  
   // Don't interfere if user is selecting text
   const selection = window.getSelection();
   if (selection && selection.toString().length > 0) return;
@@ -943,6 +1145,8 @@ function addPageTransition(type) {
 function onLocationChange(location) {
   // Update page info in status bar
   updatePageInfo(location);
+  updateProgressScrubber();
+  updateBookmarkIndicator(location);
   
   // Track current location
   if (location && location.start) {
@@ -950,6 +1154,13 @@ function onLocationChange(location) {
     settingsManager.set('lastLocation', currentLocationCfi);
     settingsManager.save();
     
+    // Percentages are only meaningful once the book's locations are known
+    const progress = sectionLocationRanges ? Math.round((location.start.percentage || 0) * 100) : null;
+    readingTracker.recordLocation(currentLocationCfi, progress);
+    if (sectionLocationRanges) {
+      readingTracker.recordPosition('epub', location.start.location);
+    }
+    
     // Reapply highlights when page changes (fixes highlights disappearing on navigation)
     if (highlights && highlights.length > 0) {
       // Small delay to ensure page is rendered
@@ -964,17 +1175,54 @@ function onLocationChange(location) {
       const book = library.find(b => b.path === currentBookPath);
       if (book) {
         book.lastPosition = currentLocationCfi;
-        book.progress = Math.round((location.start.percentage || 0) * 100);
-        // Debounced save to avoid too many writes
-        clearTimeout(window.librarySaveTimeout);
-        window.librarySaveTimeout = setTimeout(() => {
-          saveLibrary();
-        }, 2000); // Save after 2 seconds of inactivity
+        if (progress !== null) {
+          book.progress = progress;
+        }
+        checkBookFinished(book, Boolean(location.atEnd));
+        scheduleLibrarySave();
+        checkSeriesContinuation(book);
       }
     }
   }
 }
 
+/**
+ * Handle PDF page, zoom and scroll changes reported by PDFViewer
+ * Stores the position in the library so the PDF reopens where the user left off
+ */
+function onPDFPageChange(position) {
+  if (!currentBookPath || !position) return;
+  readingTracker.recordLocation(position.page, position.percentage);
+  readingTracker.recordPosition('pdf', position.page);
+  updatePageInfo(position);
+  updateProgressScrubber();
+  updateBookmarkIndicator();
+  
+  const book = library.find(b => b.path === currentBookPath);
+  if (book) {
+    book.lastPosition = position.page;
+    book.pdfView = {
+      scale: position.scale,
+      scrollTop: position.scrollTop,
+      scrollLeft: position.scrollLeft
+    };
+    book.progress = position.percentage;
+    checkBookFinished(book, position.page >= position.totalPages);
+    scheduleLibrarySave();
+    checkSeriesContinuation(book);
+  }
+}
+
+/**
+ * Debounced library save to avoid too many writes while reading
+ */
+function scheduleLibrarySave() {
+  clearTimeout(window.librarySaveTimeout);
+  window.librarySaveTimeout = setTimeout(() => {
+    saveLibrary();
+  }, 2000); // Save after 2 seconds of inactivity
+}
+
 // ============================================
 // Table of Contents - Enhanced with collapsible sections
 // ============================================
@@ -1057,6 +1305,7 @@ function navigateToChapter(href) {
   if (!rendition) return;
   
   // Display the chapter
+  recordNavigationJump();
   rendition.display(href).then(() => {
     // Close TOC panel after navigation
     closePanel('tocPanel');
@@ -1115,6 +1364,7 @@ async function executeSearch() {
         showSearchNavigation();
         updateSearchCounter(1, currentSearchResults.length);
         // Navigate to first result
+        recordNavigationJump();
         await pdfViewer.nextSearchResult();
       } else {
         resultsContainer.innerHTML = '<p style="opacity: 0.6;">No results found</p>';
@@ -1288,6 +1538,7 @@ function displayPDFSearchResults() {
     
     div.appendChild(excerpt);
     div.addEventListener('click', async () => {
+      recordNavigationJump();
       await pdfViewer.goToPage(result.pageNum);
       currentSearchIndex = index;
       updateActiveSearchResult();
@@ -1351,6 +1602,7 @@ function navigateToSearchResult(index) {
   const result = currentSearchResults[index];
   
   // Display the location
+  recordNavigationJump();
   rendition.display(result.cfi).then(() => {
     // Update UI
     updateSearchCounter();
@@ -1365,6 +1617,7 @@ async function goToNextSearchResult() {
   if (currentSearchResults.length === 0) return;
   
   if (currentFileType === 'pdf' && pdfViewer) {
+    recordNavigationJump();
     const result = await pdfViewer.nextSearchResult();
     if (result) {
       currentSearchIndex = result.current - 1;
@@ -1384,6 +1637,7 @@ async function goToPreviousSearchResult() {
   if (currentSearchResults.length === 0) return;
   
   if (currentFileType === 'pdf' && pdfViewer) {
+    recordNavigationJump();
     const result = await pdfViewer.previousSearchResult();
     if (result) {
       currentSearchIndex = result.current - 1;
@@ -1650,6 +1904,11 @@ function updateUIFromSettings() {
   document.getElementById('textAlignmentSelect').value = settingsManager.get('textAlignment') || 'justify';
   document.getElementById('mouseWheelToggle').checked = settingsManager.get('mouseWheelNav');
   document.getElementById('animationToggle').checked = settingsManager.get('pageAnimation');
+  const statusBarFields = settingsManager.get('statusBarFields');
+  document.querySelectorAll('.status-field-toggle').forEach(toggle => {
+    toggle.checked = statusBarFields.includes(toggle.dataset.field);
+  });
+  renderWatchedFolders();
   
   applyThemeToUI(settingsManager.get('theme'));
 }
@@ -1709,18 +1968,464 @@ async function updateBookInfo(titleOverride = null) {
   }
 }
 
+/**
+ * Show the fields chosen in settings in the status bar
+ * @param {Object} location - epub.js location, or PDFViewer position for PDFs
+ */
 function updatePageInfo(location) {
   const pageInfo = document.getElementById('pageInfo');
+  if (!location) return;
+  
+  const values = currentFileType === 'pdf' ? getPDFStatusValues(location) : getEPUBStatusValues(location);
+  pageInfo.textContent = settingsManager.get('statusBarFields')
+    .map(field => values[field])
+    .filter(Boolean)
+    .join(' · ');
+}
+
+/**
+ * Status bar texts for an EPUB location
+ * Fields that need locations are left out until they have been generated.
+ */
+function getEPUBStatusValues(location) {
+  if (!location.start) return {};
+  
+  const { displayed } = location.start;
+  const values = {
+    page: displayed ? `Page ${displayed.page} of ${displayed.total} in chapter` : null,
+    chapter: getChapterTitle(location.start.index),
+    chapterPagesLeft: displayed ? formatPagesLeft(displayed.total - displayed.page, 'in chapter') : null
+  };
+  
+  if (sectionLocationRanges) {
+    const current = location.start.location;
+    const total = book.locations.length();
+    const secondsPerLocation = readingTracker.getSecondsPerUnit('epub');
+    const section = sectionLocationRanges.get(location.start.index);
+    
+    values.percent = `${Math.round(location.start.percentage * 100)}%`;
+    values.location = `Loc ${current + 1} of ${total}`;
+    values.bookTimeLeft = `${formatTimeLeft((total - current - 1) * secondsPerLocation)} left in book`;
+    if (section) {
+      values.chapterTimeLeft = `${formatTimeLeft((section.last - current) * secondsPerLocation)} left in chapter`;
+    }
+  }
+  
+  return values;
+}
+
+/**
+ * Status bar texts for a PDF position (PDFs have no chapters or locations)
+ */
+function getPDFStatusValues(position) {
+  const pagesLeft = position.totalPages - position.page;
+  return {
+    percent: `${position.percentage}%`,
+    page: `Page ${position.page} of ${position.totalPages}`,
+    bookTimeLeft: `${formatTimeLeft(pagesLeft * readingTracker.getSecondsPerUnit('pdf'))} left in book`
+  };
+}
+
+function formatPagesLeft(count, where) {
+  if (count <= 0) return `Last page ${where}`;
+  return `${count} page${count === 1 ? '' : 's'} left ${where}`;
+}
+
+function formatTimeLeft(seconds) {
+  return seconds < 60 ? 'Less than a minute' : formatDuration(seconds);
+}
+
+/**
+ * Title of the chapter a spine section belongs to
+ * Sections without their own table of contents entry (e.g. a chapter split
+ * over several files) take the title of the closest earlier entry.
+ */
+function getChapterTitle(sectionIndex, epubBook = book) {
+  if (!epubBook || !epubBook.navigation || sectionIndex === undefined || sectionIndex === null) return null;
+  
+  const entries = [];
+  const collect = (items) => items.forEach(item => {
+    entries.push(item);
+    if (item.subitems) collect(item.subitems);
+  });
+  collect(epubBook.navigation.toc || []);
+  
+  for (let index = sectionIndex; index >= 0; index--) {
+    const section = epubBook.spine.get(index);
+    if (!section) continue;
+    const entry = entries.find(item => {
+      const href = item.href.split('#')[0];
+      return href === section.href || section.href.endsWith(`/${href}`) || href.endsWith(`/${section.href}`);
+    });
+    if (entry) return entry.label.trim();
+  }
+  return null;
+}
+
+/**
+ * Load the book's locations from the cache, or generate them in the background
+ * Locations give the percentage, location numbers and the time-left estimates.
+ * They depend only on the book's text, so the cache is keyed by the file's
+ * content hash and the location size - font and layout changes don't affect it.
+ */
+async function generateLocations() {
+  const currentBook = book;
+  const bookId = bookIdentifier;
+  const entry = library.find(b => b.path === currentBookPath);
+  const cacheKey = `${entry && entry.fileHash ? entry.fileHash : bookId}:${CHARS_PER_LOCATION}`;
+  sectionLocationRanges = null;
   
-  if (pdfViewer && currentFileType === 'pdf') {
-    // PDF page info is updated by PDFViewer directly
+  try {
+    const cached = await window.electronAPI.loadLocations(bookId, cacheKey);
+    if (book !== currentBook) return; // Another book was opened meanwhile
+    
+    if (cached) {
+      currentBook.locations.load(cached);
+    } else {
+      const started = Date.now();
+      await currentBook.locations.generate(CHARS_PER_LOCATION);
+      console.log(`Generated ${currentBook.locations.length()} locations in ${Date.now() - started} ms`);
+      await window.electronAPI.saveLocations(bookId, cacheKey, JSON.parse(currentBook.locations.save()));
+    }
+  } catch (error) {
+    console.warn('Could not generate locations:', error);
     return;
   }
+  if (book !== currentBook) return;
+  
+  // First and last location of each spine section, for time left in the chapter
+  const ranges = new Map();
+  for (let i = 0; i < currentBook.locations.length(); i++) {
+    const spinePos = new ePub.CFI(currentBook.locations.cfiFromLocation(i)).spinePos;
+    const range = ranges.get(spinePos);
+    if (range) {
+      range.last = i;
+    } else {
+      ranges.set(spinePos, { first: i, last: i });
+    }
+  }
+  sectionLocationRanges = ranges;
+  
+  // Top-level table of contents entries mark the chapters on the progress scrubber
+  const lastLocation = Math.max(currentBook.locations.length() - 1, 1);
+  const chapters = [];
+  (currentBook.navigation ? currentBook.navigation.toc : []).forEach(item => {
+    const section = currentBook.spine.get(item.href.split('#')[0]);
+    const range = section ? ranges.get(section.index) : null;
+    if (range) {
+      chapters.push({ title: item.label.trim(), fraction: range.first / lastLocation });
+    }
+  });
+  setScrubberChapters(chapters);
   
-  if (location && location.start) {
-    // Calculate approximate page/progress
-    const percentage = Math.round(location.start.percentage * 100);
-    pageInfo.textContent = `${percentage}%`;
+  if (rendition) {
+    const location = rendition.currentLocation();
+    if (location && location.start) {
+      // Locations were missing when the book was displayed - refresh the position
+      onLocationChange(location);
+    }
+  }
+}
+
+// ============================================
+// Progress Scrubber
+// ============================================
+
+/**
+ * Wire up dragging and hovering on the progress scrubber
+ * Hovering previews the position, releasing a drag jumps there.
+ */
+function setupProgressScrubber() {
+  const scrubber = document.getElementById('progressScrubber');
+  const track = document.getElementById('scrubberTrack');
+  let dragging = false;
+  
+  const fractionAt = (e) => {
+    const rect = track.getBoundingClientRect();
+    return Math.min(Math.max((e.clientX - rect.left) / rect.width, 0), 1);
+  };
+  
+  track.addEventListener('pointerdown', (e) => {
+    if (!isScrubberReady()) return;
+    dragging = true;
+    track.setPointerCapture(e.pointerId);
+    scrubber.classList.add('dragging');
+    setScrubberPosition(fractionAt(e));
+    showScrubberPreview(fractionAt(e));
+  });
+  
+  track.addEventListener('pointermove', (e) => {
+    if (!isScrubberReady()) return;
+    if (dragging) setScrubberPosition(fractionAt(e));
+    showScrubberPreview(fractionAt(e));
+  });
+  
+  track.addEventListener('pointerup', (e) => {
+    if (!dragging) return;
+    dragging = false;
+    scrubber.classList.remove('dragging');
+    track.releasePointerCapture(e.pointerId);
+    jumpToFraction(fractionAt(e));
+  });
+  
+  track.addEventListener('pointerleave', () => {
+    if (!dragging) {
+      document.getElementById('scrubberPreview').classList.add('hidden');
+    }
+  });
+  
+  document.getElementById('undoJumpBtn').addEventListener('click', undoScrubberJump);
+}
+
+/**
+ * Whether the open book can be scrubbed (EPUBs need their locations first)
+ */
+function isScrubberReady() {
+  if (currentFileType === 'pdf') return !!(pdfViewer && pdfViewer.totalPages > 0);
+  return !!(rendition && sectionLocationRanges);
+}
+
+/**
+ * The current reading position as a fraction of the book
+ */
+function getCurrentFraction() {
+  if (currentFileType === 'pdf') {
+    return (pdfViewer.currentPage - 1) / Math.max(pdfViewer.totalPages - 1, 1);
+  }
+  const location = rendition.currentLocation();
+  if (!location || !location.start) return 0;
+  return location.start.location / Math.max(book.locations.length() - 1, 1);
+}
+
+/**
+ * Show the scrubber at the current position (unless it is being dragged)
+ */
+function updateProgressScrubber() {
+  const scrubber = document.getElementById('progressScrubber');
+  const libraryOpen = !document.getElementById('libraryView').classList.contains('hidden');
+  scrubber.classList.toggle('hidden', libraryOpen || !isScrubberReady());
+  
+  if (!scrubber.classList.contains('hidden') && !scrubber.classList.contains('dragging')) {
+    setScrubberPosition(getCurrentFraction());
+  }
+}
+
+function setScrubberPosition(fraction) {
+  document.getElementById('scrubberFill').style.width = `${fraction * 100}%`;
+  document.getElementById('scrubberThumb').style.left = `${fraction * 100}%`;
+}
+
+/**
+ * Set the chapter ticks for the open book
+ */
+function setScrubberChapters(chapters) {
+  scrubberChapters = chapters.sort((a, b) => a.fraction - b.fraction);
+  
+  const ticks = document.getElementById('scrubberTicks');
+  ticks.innerHTML = '';
+  scrubberChapters.forEach(chapter => {
+    if (chapter.fraction <= 0) return;
+    const tick = document.createElement('div');
+    tick.className = 'scrubber-tick';
+    tick.style.left = `${chapter.fraction * 100}%`;
+    ticks.appendChild(tick);
+  });
+}
+
+/**
+ * Preview the chapter and page at a position on the scrubber
+ */
+function showScrubberPreview(fraction) {
+  let chapter = null;
+  let position;
+  
+  if (currentFileType === 'pdf') {
+    const page = fractionToPage(fraction);
+    chapter = getPDFChapterTitle(page);
+    position = `Page ${page} of ${pdfViewer.totalPages}`;
+  } else {
+    const index = fractionToLocation(fraction);
+    const spinePos = new ePub.CFI(book.locations.cfiFromLocation(index)).spinePos;
+    chapter = getChapterTitle(spinePos);
+    position = `Loc ${index + 1} of ${book.locations.length()} · ${Math.round(fraction * 100)}%`;
+  }
+  
+  document.getElementById('scrubberPreviewChapter').textContent = chapter || '';
+  document.getElementById('scrubberPreviewPosition').textContent = position;
+  
+  const preview = document.getElementById('scrubberPreview');
+  const track = document.getElementById('scrubberTrack');
+  preview.style.left = `${track.offsetLeft + fraction * track.offsetWidth}px`;
+  preview.classList.remove('hidden');
+}
+
+/**
+ * Title of the top-level outline entry a PDF page belongs to
+ */
+function getPDFChapterTitle(page) {
+  const lastPage = Math.max(pdfViewer.totalPages - 1, 1);
+  const entry = scrubberChapters.filter(c => c.fraction <= (page - 1) / lastPage).pop();
+  return entry ? entry.title : null;
+}
+
+function fractionToPage(fraction) {
+  return 1 + Math.round(fraction * (pdfViewer.totalPages - 1));
+}
+
+function fractionToLocation(fraction) {
+  return Math.round(fraction * (book.locations.length() - 1));
+}
+
+/**
+ * Jump to a position on the scrubber, remembering where we were for "Undo Jump"
+ */
+async function jumpToFraction(fraction) {
+  document.getElementById('scrubberPreview').classList.add('hidden');
+  
+  if (currentFileType === 'pdf') {
+    const page = fractionToPage(fraction);
+    if (page === pdfViewer.currentPage) return;
+    scrubberUndoPosition = pdfViewer.currentPage;
+    recordNavigationJump();
+    await pdfViewer.goToPage(page);
+  } else {
+    const cfi = book.locations.cfiFromLocation(fractionToLocation(fraction));
+    scrubberUndoPosition = currentLocationCfi;
+    recordNavigationJump();
+    await rendition.display(cfi);
+  }
+  
+  document.getElementById('undoJumpBtn').classList.remove('hidden');
+}
+
+/**
+ * Return to the position before the last scrubber jump
+ */
+async function undoScrubberJump() {
+  const position = scrubberUndoPosition;
+  hideUndoJump();
+  if (position === null) return;
+  
+  recordNavigationJump();
+  await goToPosition(position);
+}
+
+function hideUndoJump() {
+  scrubberUndoPosition = null;
+  document.getElementById('undoJumpBtn').classList.add('hidden');
+}
+
+// ============================================
+// Navigation History (Back / Forward)
+// ============================================
+
+/**
+ * The current position: a CFI for EPUBs, a page number for PDFs
+ */
+function getCurrentPosition() {
+  if (currentFileType === 'pdf') return pdfViewer ? pdfViewer.currentPage : null;
+  return currentLocationCfi;
+}
+
+async function goToPosition(position) {
+  if (currentFileType === 'pdf' && pdfViewer) {
+    await pdfViewer.goToPage(position);
+  } else if (rendition) {
+    await rendition.display(position);
+  }
+}
+
+/**
+ * Remember the current position before a non-sequential jump
+ * (table of contents, search result, highlight, link or scrubber)
+ */
+function recordNavigationJump() {
+  const position = getCurrentPosition();
+  if (position === null || position === undefined) return;
+  
+  const back = navigationHistory.back;
+  if (back[back.length - 1] !== position) {
+    back.push(position);
+    if (back.length > MAX_NAVIGATION_HISTORY) back.shift();
+  }
+  navigationHistory.forward = [];
+}
+
+/**
+ * Go back to where the last jump started
+ */
+async function navigateBack() {
+  await moveInHistory(navigationHistory.back, navigationHistory.forward);
+}
+
+/**
+ * Go forward again after going back
+ */
+async function navigateForward() {
+  await moveInHistory(navigationHistory.forward, navigationHistory.back);
+}
+
+async function moveInHistory(from, to) {
+  if (from.length === 0) return;
+  
+  const current = getCurrentPosition();
+  if (current !== null && current !== undefined) to.push(current);
+  await goToPosition(from.pop());
+}
+
+/**
+ * Alt+Left / Alt+Right go back and forward
+ * @returns {boolean} Whether the key was handled
+ */
+function handleHistoryKeys(e) {
+  if (!e.altKey || (e.key !== 'ArrowLeft' && e.key !== 'ArrowRight')) return false;
+  
+  e.preventDefault();
+  if (e.key === 'ArrowLeft') {
+    navigateBack();
+  } else {
+    navigateForward();
+  }
+  return true;
+}
+
+/**
+ * The mouse's back and forward buttons go back and forward
+ */
+function handleHistoryMouseButtons(e) {
+  if (!rendition && !pdfViewer) return;
+  if (e.button !== 3 && e.button !== 4) return;
+  
+  e.preventDefault();
+  if (e.button === 3) {
+    navigateBack();
+  } else {
+    navigateForward();
+  }
+}
+
+/**
+ * Record the position before following a link inside the book (e.g. a footnote)
+ * The current CFI only changes once the new page is shown, so it's still the old one here.
+ */
+function setupIframeNavigationHistory(contents) {
+  contents.on('linkClicked', () => recordNavigationJump());
+}
+
+/**
+ * Save the status bar fields chosen in settings
+ */
+function changeStatusBarFields() {
+  const fields = [...document.querySelectorAll('.status-field-toggle')]
+    .filter(toggle => toggle.checked)
+    .map(toggle => toggle.dataset.field);
+  settingsManager.set('statusBarFields', fields);
+  settingsManager.save();
+  
+  if (currentFileType === 'pdf' && pdfViewer) {
+    updatePageInfo(pdfViewer.getPosition());
+  } else if (rendition) {
+    updatePageInfo(rendition.currentLocation());
   }
 }
 
@@ -1730,20 +2435,17 @@ function updatePageInfo(location) {
 
 /**
  * Generate a unique identifier for the current book
- * Uses ISBN or title+author as fallback
+ * Uses the content-hash identity shared by the library entry, highlights and cover
  */
 async function generateBookIdentifier() {
   try {
-    const metadata = await book.loaded.metadata;
-    // Try to use ISBN if available
-    if (metadata.identifier) {
-      // Sanitize identifier - replace invalid filename characters
-      bookIdentifier = metadata.identifier.replace(/[<>:"/\\|?*]/g, '_');
+    const entry = library.find(b => b.path === currentBookPath);
+    if (entry && entry.fileHash) {
+      // Already identified when it was added (or migrated) to the library
+      bookIdentifier = entry.id;
     } else {
-      // Fallback to title + author
-      const title = metadata.title || 'unknown';
-      const author = metadata.creator || 'unknown';
-      bookIdentifier = `${title}-${author}`.replace(/[^a-zA-Z0-9]/g, '-').toLowerCase();
+      const identity = await window.electronAPI.getBookIdentity(currentBookPath);
+      bookIdentifier = identity.id;
     }
     console.log(`Book identifier generated: ${bookIdentifier}`);
   } catch (error) {
@@ -1758,22 +2460,36 @@ async function generateBookIdentifier() {
 async function loadHighlights() {
   try {
     console.log(`Loading highlights for book: ${bookIdentifier}`);
-    highlights = await window.electronAPI.loadHighlights(bookIdentifier);
-    console.log(`Loaded ${highlights.length} highlights:`, highlights);
-    updateHighlightsList();
+    const annotations = await window.electronAPI.loadHighlights(bookIdentifier);
+    highlights = annotations.filter(annotation => annotation.type !== 'bookmark');
+    bookmarks = annotations.filter(annotation => annotation.type === 'bookmark');
+    console.log(`Loaded ${highlights.length} highlights and ${bookmarks.length} bookmarks:`, highlights);
+    
+    // Highlights made before chapters were stored get theirs while the book is open
+    const withoutChapter = highlights.filter(h => h.chapter === undefined);
+    if (withoutChapter.length > 0) {
+      withoutChapter.forEach(h => { h.chapter = getHighlightChapter(h); });
+      await saveHighlightsToFile();
+    }
   } catch (error) {
     console.error('Error loading highlights:', error);
     highlights = [];
+    bookmarks = [];
   }
+  updateHighlightsList();
+  updateBookmarksList();
+  updateBookmarkIndicator();
 }
 
 /**
  * Save highlights for current book
  */
 async function saveHighlightsToFile() {
+  if (!bookIdentifier) return; // A book is still loading
+  
   try {
-    console.log(`Saving ${highlights.length} highlights for book: ${bookIdentifier}`);
-    const result = await window.electronAPI.saveHighlights(bookIdentifier, highlights);
+    console.log(`Saving ${highlights.length} highlights and ${bookmarks.length} bookmarks for book: ${bookIdentifier}`);
+    const result = await window.electronAPI.saveHighlights(bookIdentifier, [...highlights, ...bookmarks]);
     if (result) {
       console.log('Highlights saved successfully');
     } else {
@@ -1785,14 +2501,21 @@ async function saveHighlightsToFile() {
   }
 }
 
+let drawnHighlightRanges = []; // CFI ranges of the highlights currently drawn in the rendition
+
 /**
  * Apply all highlights to the rendition
  */
 function applyHighlights() {
+  if (currentFileType === 'pdf') {
+    if (pdfViewer) pdfViewer.setHighlights(highlights);
+    return;
+  }
   if (!rendition) return;
   
-  // Remove all existing highlights first
-  rendition.annotations.remove(null, 'highlight');
+  // Remove all existing highlights first (epub.js removes annotations by their CFI range)
+  drawnHighlightRanges.forEach(cfiRange => rendition.annotations.remove(cfiRange, 'highlight'));
+  drawnHighlightRanges = highlights.map(highlight => highlight.cfiRange);
   
   // Apply each highlight with VERY prominent colors like Kindle/Calibre (0.7 opacity, vibrant colors)
   highlights.forEach(highlight => {
@@ -1870,11 +2593,22 @@ function showContextMenu(x, y) {
   const menu = document.getElementById('textContextMenu');
   
   // Check if we clicked on an existing highlight
-  const existingHighlight = highlights.find(h => h.cfiRange === selectedCfiRange);
+  const existingHighlight = findSelectedHighlight();
   
   if (existingHighlight) {
     clickedHighlightId = existingHighlight.id;
-    // Show "Delete Highlight" option by modifying menu dynamically
+    // Show "Edit Highlight" and "Delete Highlight" options by modifying menu dynamically
+    let editBtn = document.getElementById('contextEditHighlightBtn');
+    if (!editBtn) {
+      editBtn = document.createElement('button');
+      editBtn.id = 'contextEditHighlightBtn';
+      editBtn.className = 'btn';
+      editBtn.innerHTML = '<span class="icon">✏️</span> Edit Highlight';
+      editBtn.addEventListener('click', editClickedHighlight);
+      menu.appendChild(editBtn);
+    }
+    editBtn.classList.remove('hidden');
+    
     let deleteBtn = document.getElementById('contextDeleteHighlightBtn');
     if (!deleteBtn) {
       deleteBtn = document.createElement('button');
@@ -1887,10 +2621,10 @@ function showContextMenu(x, y) {
     deleteBtn.classList.remove('hidden');
   } else {
     clickedHighlightId = null;
-    const deleteBtn = document.getElementById('contextDeleteHighlightBtn');
-    if (deleteBtn) {
-      deleteBtn.classList.add('hidden');
-    }
+    ['contextEditHighlightBtn', 'contextDeleteHighlightBtn'].forEach(id => {
+      const button = document.getElementById(id);
+      if (button) button.classList.add('hidden');
+    });
   }
   
   menu.classList.remove('hidden');
@@ -1922,7 +2656,58 @@ function showContextMenu(x, y) {
 }
 
 /**
- * Delete the highlight that was clicked
+ * Handle text selected in the PDF text layer - show context menu
+ * A click without a selection on a highlight opens the highlight editor.
+ */
+function handlePDFTextSelection(e) {
+  if (!pdfViewer) return;
+  
+  selectedPDFAnchor = pdfViewer.getSelectionAnchor();
+  selectedText = selectedPDFAnchor ? selectedPDFAnchor.text : '';
+  
+  if (selectedPDFAnchor) {
+    const rect = window.getSelection().getRangeAt(0).getBoundingClientRect();
+    showContextMenu(rect.right + 10, rect.top);
+  } else {
+    hideContextMenu();
+    const highlightId = e.button === 0 ? pdfViewer.getHighlightAt(e.clientX, e.clientY) : null;
+    const highlight = highlightId && highlights.find(h => h.id === highlightId);
+    if (highlight) {
+      openHighlightEditor(highlight);
+    }
+  }
+}
+
+/**
+ * The saved highlight covering exactly the current selection, if any
+ */
+function findSelectedHighlight() {
+  if (currentFileType === 'pdf') {
+    if (!selectedPDFAnchor) return null;
+    const { page, start, end } = selectedPDFAnchor;
+    const samePosition = (a, b) => a && a.item === b.item && a.offset === b.offset;
+    return highlights.find(h => h.page === page && samePosition(h.start, start) && samePosition(h.end, end));
+  }
+  return highlights.find(h => h.cfiRange === selectedCfiRange);
+}
+
+/**
+ * Edit the highlight that was clicked
+ */
+function editClickedHighlight() {
+  const highlight = highlights.find(h => h.id === clickedHighlightId);
+  clickedHighlightId = null;
+  if (highlight) {
+    if (currentFileType === 'pdf') {
+      window.getSelection().removeAllRanges();
+      selectedPDFAnchor = null;
+    }
+    openHighlightEditor(highlight);
+  }
+}
+
+/**
+ * Delete the highlight that was clicked
  */
 async function deleteClickedHighlight() {
   if (!clickedHighlightId) return;
@@ -1947,7 +2732,7 @@ function hideContextMenu() {
  * Open highlight dialog when user wants to highlight
  */
 function openHighlightDialog() {
-  if (!selectedCfiRange) {
+  if (!selectedCfiRange && !selectedPDFAnchor) {
     alert('Please select some text first');
     return;
   }
@@ -1967,6 +2752,7 @@ function openHighlightDialog() {
 function closeHighlightDialog() {
   document.getElementById('highlightDialog').classList.add('hidden');
   selectedCfiRange = null;
+  selectedPDFAnchor = null;
 }
 
 /**
@@ -2068,28 +2854,47 @@ function closeDictionaryDialog() {
  * Save a new highlight
  */
 async function saveHighlight() {
-  if (!selectedCfiRange) {
+  if (!selectedCfiRange && !selectedPDFAnchor) {
     closeHighlightDialog();
     return;
   }
   
   try {
-    // Get selected text content
-    const range = await book.getRange(selectedCfiRange);
-    const text = range.toString().trim();
-    
     // Get note if provided
     const note = document.getElementById('highlightNoteInput').value.trim();
     
     // Create highlight object
-    const highlight = {
-      id: Date.now().toString(),
-      cfiRange: selectedCfiRange,
-      text: text,
-      color: selectedColor,
-      note: note,
-      created: new Date().toISOString()
-    };
+    let highlight;
+    if (currentFileType === 'pdf') {
+      // PDF highlights are anchored by page and text item offsets, drawn from their rects
+      const { page, start, end, rects, text } = selectedPDFAnchor;
+      highlight = {
+        id: Date.now().toString(),
+        page,
+        start,
+        end,
+        rects,
+        text,
+        color: selectedColor,
+        note: note,
+        created: new Date().toISOString()
+      };
+      window.getSelection().removeAllRanges();
+    } else {
+      // Get selected text content
+      const range = await book.getRange(selectedCfiRange);
+      const text = range.toString().trim();
+      
+      highlight = {
+        id: Date.now().toString(),
+        cfiRange: selectedCfiRange,
+        text: text,
+        color: selectedColor,
+        note: note,
+        created: new Date().toISOString()
+      };
+    }
+    highlight.chapter = getHighlightChapter(highlight);
     
     // Add to highlights array
     highlights.push(highlight);
@@ -2146,6 +2951,15 @@ function updateHighlightsList() {
       item.appendChild(note);
     }
     
+    appendHighlightTags(item, highlight);
+    
+    if (highlight.page !== undefined) {
+      const page = document.createElement('div');
+      page.className = 'bookmark-meta';
+      page.textContent = `Page ${highlight.page}`;
+      item.appendChild(page);
+    }
+    
     const actions = document.createElement('div');
     actions.className = 'highlight-actions';
     
@@ -2153,11 +2967,18 @@ function updateHighlightsList() {
     goBtn.textContent = 'Go to';
     goBtn.addEventListener('click', (e) => {
       e.stopPropagation();
-      rendition.display(highlight.cfiRange);
-      closePanel('highlightsPanel');
+      goToHighlight(highlight);
     });
     actions.appendChild(goBtn);
     
+    const editBtn = document.createElement('button');
+    editBtn.textContent = 'Edit';
+    editBtn.addEventListener('click', async (e) => {
+      e.stopPropagation();
+      await editHighlight(highlight);
+    });
+    actions.appendChild(editBtn);
+    
     const deleteBtn = document.createElement('button');
     deleteBtn.textContent = 'Delete';
     deleteBtn.addEventListener('click', async (e) => {
@@ -2169,15 +2990,64 @@ function updateHighlightsList() {
     item.appendChild(actions);
     
     // Click on item to navigate
-    item.addEventListener('click', () => {
-      rendition.display(highlight.cfiRange);
-      closePanel('highlightsPanel');
-    });
+    item.addEventListener('click', () => goToHighlight(highlight));
     
     listContainer.appendChild(item);
   });
 }
 
+/**
+ * Show a highlight's tags as chips
+ */
+function appendHighlightTags(item, highlight) {
+  const tags = highlight.tags || [];
+  if (tags.length === 0) return;
+  
+  const tagList = document.createElement('div');
+  tagList.className = 'book-tags';
+  tags.forEach(tag => {
+    const chip = document.createElement('span');
+    chip.className = 'book-tag';
+    chip.textContent = tag;
+    tagList.appendChild(chip);
+  });
+  item.appendChild(tagList);
+}
+
+/**
+ * Title of the chapter a highlight is in
+ * Stored with the highlight, so exports of closed books can be grouped by chapter.
+ */
+function getHighlightChapter(highlight) {
+  if (highlight.page !== undefined) {
+    return pdfViewer ? getPDFChapterTitle(highlight.page) : null;
+  }
+  try {
+    return getChapterTitle(new ePub.CFI(highlight.cfiRange).spinePos);
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Highlights sorted in reading order (page and text offset, or CFI)
+ */
+function sortHighlightsByPosition(list) {
+  const cfi = new ePub.CFI();
+  return [...list].sort((a, b) => {
+    if (a.page !== undefined && b.page !== undefined) {
+      return (a.page - b.page) || (a.start.item - b.start.item) || (a.start.offset - b.start.offset);
+    }
+    return cfi.compare(a.cfiRange, b.cfiRange);
+  });
+}
+
+function goToHighlight(highlight) {
+  recordNavigationJump();
+  goToPosition(highlight.page !== undefined ? highlight.page : highlight.cfiRange);
+  closePanel('highlightsPanel');
+}
+
 /**
  * Delete a highlight
  */
@@ -2192,550 +3062,3962 @@ async function deleteHighlight(highlightId) {
   // Save to file
   await saveHighlightsToFile();
   
-  // Clear all annotations
-  if (rendition && rendition.annotations) {
-    rendition.annotations.remove(null, 'highlight');
-  }
-  
-  // Reapply remaining highlights
+  // Redraw the remaining highlights
   applyHighlights();
   
   // Update UI
   updateHighlightsList();
   
-  // Note: Visual update may require turning the page due to epub.js limitations
-  console.log('Highlight deleted. Turn the page to see the change.');
+  console.log('Highlight deleted');
 }
 
 // ============================================
-// Library Management
+// Highlight Editor
 // ============================================
+const HIGHLIGHT_EDITOR_CONTEXT_WORDS = 30; // Words shown around the highlight for moving its ends
+const BLOCK_ELEMENTS = /^(P|DIV|LI|H[1-6]|BLOCKQUOTE|TD|TH|DT|DD|PRE|SECTION|ARTICLE|ASIDE|HEADER|FOOTER|FIGCAPTION|BODY)$/;
+let highlightEditor = null; // { highlight, color, model, start, end, rangeChanged, dragging } while the editor is open
 
 /**
- * Load library from disk
+ * Text around a highlight, split into words, for adjusting its start and end
+ * chars holds the node and offset of every character of text; null entries
+ * are spaces standing in for block or text item boundaries.
+ * @returns {Object|null} { chars, text, words, start, end, contents }, null if the highlight isn't displayed
  */
-async function loadLibrary() {
-  try {
-    library = await window.electronAPI.loadLibrary();
-    console.log(`Loaded ${library.length} books in library`);
-    renderLibrary();
-  } catch (error) {
-    console.error('Error loading library:', error);
-    library = [];
+function getHighlightTextModel(highlight) {
+  let nodes;
+  let range;
+  let separate;
+  let contents = null;
+  
+  if (highlight.page !== undefined) {
+    if (!pdfViewer || pdfViewer.currentPage !== highlight.page) return null;
+    const textNodes = pdfViewer.textDivs.map(div => div.isConnected ? div.firstChild : null);
+    const startNode = textNodes[highlight.start.item];
+    const endNode = textNodes[highlight.end.item];
+    if (!startNode || !endNode) return null;
+    
+    nodes = textNodes.filter(Boolean);
+    range = document.createRange();
+    range.setStart(startNode, Math.min(highlight.start.offset, startNode.length));
+    range.setEnd(endNode, Math.min(highlight.end.offset, endNode.length));
+    separate = () => true; // Text items are positioned separately
+  } else {
+    if (!rendition) return null;
+    const spinePos = new ePub.CFI(highlight.cfiRange).spinePos;
+    contents = rendition.getContents().find(c => c.sectionIndex === spinePos);
+    if (!contents) return null;
+    range = contents.range(highlight.cfiRange);
+    if (!range) return null;
+    
+    nodes = [];
+    const doc = contents.document;
+    const walker = doc.createTreeWalker(doc.body, NodeFilter.SHOW_TEXT);
+    for (let node = walker.nextNode(); node; node = walker.nextNode()) {
+      nodes.push(node);
+    }
+    const getBlock = node => {
+      let element = node.parentElement;
+      while (element && !BLOCK_ELEMENTS.test(element.tagName.toUpperCase())) {
+        element = element.parentElement;
+      }
+      return element;
+    };
+    separate = (previous, node) => getBlock(previous) !== getBlock(node);
+  }
+  
+  const chars = [];
+  let text = '';
+  let first = -1;
+  let last = -1;
+  nodes.forEach((node, index) => {
+    if (index > 0 && separate(nodes[index - 1], node)) {
+      chars.push(null);
+      text += ' ';
+    }
+    const inRange = range.intersectsNode(node);
+    for (let offset = 0; offset < node.length; offset++) {
+      if (inRange && range.comparePoint(node, offset) === 0 && range.comparePoint(node, offset + 1) === 0) {
+        if (first === -1) first = chars.length;
+        last = chars.length;
+      }
+      chars.push({ node, offset });
+      text += node.nodeValue[offset];
+    }
+  });
+  if (first === -1) return null;
+  
+  const words = [];
+  const wordPattern = /\S+/g;
+  let match;
+  while ((match = wordPattern.exec(text)) !== null) {
+    words.push({ start: match.index, end: match.index + match[0].length, text: match[0] });
   }
+  
+  const start = words.findIndex(word => word.end > first);
+  const end = words.length - 1 - [...words].reverse().findIndex(word => word.start <= last);
+  return { chars, text, words, start, end, contents };
 }
 
 /**
- * Save library to disk
+ * Open the editor for a highlight: color, note, tags and its start and end
  */
-async function saveLibrary() {
+function openHighlightEditor(highlight) {
+  hideContextMenu();
+  
+  let model = null;
   try {
-    await window.electronAPI.saveLibrary(library);
+    model = getHighlightTextModel(highlight);
   } catch (error) {
-    console.error('Error saving library:', error);
+    console.warn('Could not read the text around the highlight:', error);
   }
+  
+  highlightEditor = {
+    highlight,
+    color: highlight.color,
+    model,
+    start: model ? model.start : 0,
+    end: model ? model.end : 0,
+    rangeChanged: false,
+    dragging: null
+  };
+  
+  document.querySelectorAll('#highlightEditorColors .color-btn').forEach(btn => {
+    btn.classList.toggle('selected', btn.dataset.color === highlight.color);
+  });
+  document.getElementById('highlightEditorNote').value = highlight.note || '';
+  document.getElementById('highlightEditorTags').value = (highlight.tags || []).join(', ');
+  document.getElementById('highlightRangeEditor').classList.toggle('hidden', !model);
+  renderHighlightEditorText();
+  
+  document.getElementById('highlightEditorDialog').classList.remove('hidden');
 }
 
-/**
- * Add a book to the library
- */
-async function addBookToLibrary(filePathArg = null, titleArg = null, authorArg = null, fileTypeArg = null) {
-  try {
-    console.log('addBookToLibrary called with:', { filePathArg, titleArg, authorArg, fileTypeArg });
-    
-    // Handle case where event object is passed instead of arguments
-    if (filePathArg && typeof filePathArg === 'object' && filePathArg.constructor.name === 'PointerEvent') {
-      console.log('Event object detected, ignoring it');
-      filePathArg = null;
-    }
-    
-    // If called programmatically with arguments, use them; otherwise open dialog
-    let filePath = filePathArg;
-    let title = titleArg;
-    let author = authorArg;
-    let fileType = fileTypeArg;
-    
-    if (!filePath) {
-      filePath = await window.electronAPI.openEpubDialog();
-      if (!filePath) {
-        console.log('No file selected');
-        return;
-      }
-    }
-    
-    console.log('Processing file:', filePath);
-    
-    // Determine file type if not provided
-    if (!fileType) {
-      const extension = filePath.split('.').pop().toLowerCase();
-      fileType = extension === 'pdf' ? 'pdf' : 'epub';
-    }
-    
-    // Check if book already exists in library
-    const existingBook = library.find(b => b.path === filePath);
-    if (existingBook) {
-      // Book already in library
-      // Only open it if user clicked "+Add Book" button (filePathArg is null)
-      // Don't open if called from loadPDF/loadEPUB (filePathArg has value)
-      if (!filePathArg) {
-        await loadBook(filePath);
-      }
-      return;
-    }
-    
-    // Read and parse the file to get metadata
-    const arrayBuffer = await window.electronAPI.readEpubFile(filePath);
-    let coverPath = null;
-    let bookId;
-    
-    if (fileType === 'pdf') {
-      // Handle PDF
-      const tempPdfViewer = new PDFViewer();
-      await tempPdfViewer.loadPDF(arrayBuffer);
-      const metadata = await tempPdfViewer.getMetadata();
-      
-      title = title || metadata.title || filePath.split('\\\\').pop();
-      author = author || metadata.author || 'Unknown';
-      bookId = `${title}-${author}`.replace(/[^a-zA-Z0-9]/g, '-').toLowerCase() + '-' + Date.now();
-      
-      tempPdfViewer.destroy();
-    } else {
-      // Handle EPUB
-      const tempBook = ePub(arrayBuffer);
-      await tempBook.ready;
-      
-      const metadata = await tempBook.loaded.metadata;
-      const cover = await tempBook.loaded.cover;
-      
-      title = title || metadata.title || 'Unknown Title';
-      author = author || metadata.creator || 'Unknown Author';
-      bookId = metadata.identifier || `${title}-${author}`.replace(/[^a-zA-Z0-9]/g, '-').toLowerCase() + '-' + Date.now();
-      
-      // Extract and save cover image if available
-      if (cover) {
-        try {
-          const coverUrl = await tempBook.coverUrl();
-          if (coverUrl) {
-            // Convert cover to base64 and save
-            const response = await fetch(coverUrl);
-            const blob = await response.blob();
-            const reader = new FileReader();
-            const base64Data = await new Promise((resolve) => {
-              reader.onloadend = () => resolve(reader.result);
-              reader.readAsDataURL(blob);
-            });
-            coverPath = await window.electronAPI.saveCover(bookId, base64Data);
-          }
-        } catch (error) {
-          console.warn('Could not extract cover from cover property:', error);
-        }
-      }
-      
-      // If no cover found, try to extract first page as cover
-      if (!coverPath) {
-        try {
-          // Get first spine item (usually the cover page)
-          const spineItem = tempBook.spine.get(0);
-          if (spineItem) {
-            await spineItem.load(tempBook.load.bind(tempBook));
-            const doc = spineItem.document;
-            
-            // Try to find first image in the document
-            const img = doc.querySelector('img');
-            if (img && img.src) {
-              const imgUrl = img.src.startsWith('http') ? img.src : tempBook.url(img.src);
-              const response = await fetch(imgUrl);
-              const blob = await response.blob();
-              const reader = new FileReader();
-              const base64Data = await new Promise((resolve) => {
-                reader.onloadend = () => resolve(reader.result);
-                reader.readAsDataURL(blob);
-              });
-              coverPath = await window.electronAPI.saveCover(bookId, base64Data);
-              console.log('Extracted cover from first page');
-            }
-          }
-        } catch (error) {
-          console.warn('Could not extract cover from first page:', error);
-        }
-      }
-      
-      // Destroy temp book
-      tempBook.destroy();
-    }
-    
-    // Create library entry
-    const libraryEntry = {
-      id: bookId,
-      path: filePath,
-      title: title,
-      author: author,
-      fileType: fileType,  // Add file type
-      coverPath: coverPath,
-      addedDate: new Date().toISOString(),
-      lastOpened: null,
-      lastPosition: null,  // CFI of last reading position (EPUB only)
-      progress: 0          // Reading progress percentage (0-100)
-    };
-    
-    library.unshift(libraryEntry); // Add to beginning
-    await saveLibrary();
-    renderLibrary();
-    
-    // Open the book if not called programmatically
-    if (!filePathArg) {
-      await loadBook(filePath);
-    }
-    
-  } catch (error) {
-    console.error('Error adding book to library:', error);
-    alert('Failed to add book to library. Please try again.');
-  }
+function closeHighlightEditor() {
+  document.getElementById('highlightEditorDialog').classList.add('hidden');
+  highlightEditor = null;
 }
 
 /**
- * Remove a book from the library
+ * Show the words around the highlight with handles at its start and end
  */
-async function removeBookFromLibrary(bookId) {
-  if (!confirm('Remove this book from your library?')) return;
-  
-  library = library.filter(b => b.id !== bookId);
-  await saveLibrary();
-  renderLibrary();
+function renderHighlightEditorText() {
+  const container = document.getElementById('highlightEditorText');
+  container.innerHTML = '';
+  if (!highlightEditor || !highlightEditor.model) return;
+  
+  const { model, start, end } = highlightEditor;
+  const first = Math.max(0, start - HIGHLIGHT_EDITOR_CONTEXT_WORDS);
+  const last = Math.min(model.words.length - 1, end + HIGHLIGHT_EDITOR_CONTEXT_WORDS);
+  
+  const createHandle = (which) => {
+    const handle = document.createElement('span');
+    handle.className = `range-handle range-handle-${which}`;
+    handle.dataset.handle = which;
+    handle.tabIndex = 0;
+    handle.title = `Drag or use the arrow keys to move the ${which} of the highlight`;
+    return handle;
+  };
+  
+  if (first > 0) container.appendChild(document.createTextNode('… '));
+  for (let index = first; index <= last; index++) {
+    if (index === start) container.appendChild(createHandle('start'));
+    
+    const word = document.createElement('span');
+    word.className = 'editor-word';
+    word.classList.toggle('in-range', index >= start && index <= end);
+    word.classList.add(`color-${highlightEditor.color}`);
+    word.dataset.index = index;
+    word.textContent = model.words[index].text;
+    container.appendChild(word);
+    
+    if (index === end) container.appendChild(createHandle('end'));
+    if (index < last) container.appendChild(document.createTextNode(' '));
+  }
+  if (last < model.words.length - 1) container.appendChild(document.createTextNode(' …'));
 }
 
 /**
- * Open edit book dialog
+ * Move the start or end of the highlight to a word, keeping start before end
  */
-let editingBookId = null;
-
-function openEditBookDialog(bookId) {
-  const book = library.find(b => b.id === bookId);
-  if (!book) return;
-  
-  editingBookId = bookId;
-  document.getElementById('editBookTitle').value = book.title;
-  document.getElementById('editBookAuthor').value = book.author;
-  document.getElementById('editBookDialog').classList.remove('hidden');
+function moveHighlightEditorHandle(which, index) {
+  const editor = highlightEditor;
+  const lastWord = editor.model.words.length - 1;
+  index = Math.max(0, Math.min(lastWord, index));
+  
+  const start = which === 'start' ? Math.min(index, editor.end) : editor.start;
+  const end = which === 'end' ? Math.max(index, editor.start) : editor.end;
+  if (start === editor.start && end === editor.end) return;
+  
+  editor.start = start;
+  editor.end = end;
+  editor.rangeChanged = true;
+  renderHighlightEditorText();
 }
 
 /**
- * Save edited book metadata
+ * Drag handles with the mouse and move them a word at a time with the arrow keys
+ * The container captures the pointer, since handles are re-created as they move.
  */
-async function saveEditedBook() {
-  if (!editingBookId) return;
+function setupHighlightEditorHandles() {
+  const container = document.getElementById('highlightEditorText');
   
-  const book = library.find(b => b.id === editingBookId);
-  if (!book) return;
+  container.addEventListener('pointerdown', (e) => {
+    const handle = e.target.closest('.range-handle');
+    if (!handle || !highlightEditor) return;
+    e.preventDefault();
+    highlightEditor.dragging = handle.dataset.handle;
+    container.setPointerCapture(e.pointerId);
+  });
   
-  book.title = document.getElementById('editBookTitle').value || 'Unknown Title';
-  book.author = document.getElementById('editBookAuthor').value || 'Unknown Author';
+  container.addEventListener('pointermove', (e) => {
+    if (!highlightEditor || !highlightEditor.dragging) return;
+    const target = document.elementFromPoint(e.clientX, e.clientY);
+    const word = target && target.closest('.editor-word');
+    if (word) {
+      moveHighlightEditorHandle(highlightEditor.dragging, Number(word.dataset.index));
+    }
+  });
   
-  await saveLibrary();
-  renderLibrary();
+  const stopDragging = () => {
+    if (highlightEditor) highlightEditor.dragging = null;
+  };
+  container.addEventListener('pointerup', stopDragging);
+  container.addEventListener('pointercancel', stopDragging);
   
-  // Close dialog
-  document.getElementById('editBookDialog').classList.add('hidden');
-  editingBookId = null;
+  container.addEventListener('keydown', (e) => {
+    const handle = e.target.closest('.range-handle');
+    if (!handle || !highlightEditor || (e.key !== 'ArrowLeft' && e.key !== 'ArrowRight')) return;
+    e.preventDefault();
+    e.stopPropagation(); // Don't turn the page
+    
+    const which = handle.dataset.handle;
+    const position = which === 'start' ? highlightEditor.start : highlightEditor.end;
+    moveHighlightEditorHandle(which, position + (e.key === 'ArrowLeft' ? -1 : 1));
+    container.querySelector(`.range-handle-${which}`).focus();
+  });
 }
 
 /**
- * Cancel edit book dialog
+ * Move a highlight to the words chosen in the editor
+ * Updates its CFI range (EPUB) or text positions and rects (PDF), and its text.
  */
-function cancelEditBook() {
-  document.getElementById('editBookDialog').classList.add('hidden');
-  editingBookId = null;
+function applyHighlightEditorRange(highlight) {
+  const { model, start, end } = highlightEditor;
+  const first = model.chars[model.words[start].start];
+  const last = model.chars[model.words[end].end - 1];
+  
+  const range = first.node.ownerDocument.createRange();
+  range.setStart(first.node, first.offset);
+  range.setEnd(last.node, last.offset + 1);
+  
+  if (highlight.page !== undefined) {
+    highlight.start = { item: pdfViewer.textDivs.indexOf(first.node.parentElement), offset: first.offset };
+    highlight.end = { item: pdfViewer.textDivs.indexOf(last.node.parentElement), offset: last.offset + 1 };
+    highlight.rects = pdfViewer.getTextRects(highlight.start, highlight.end);
+    highlight.text = range.toString().replace(/\s+/g, ' ').trim();
+  } else {
+    highlight.cfiRange = model.contents.cfiFromRange(range);
+    highlight.text = range.toString().trim();
+  }
 }
 
 /**
- * Open a book from the library
+ * Save the changes made in the editor
  */
-async function openBookFromLibrary(bookPath) {
+async function saveHighlightEdit() {
+  if (!highlightEditor) return;
+  const { highlight } = highlightEditor;
+  
   try {
-    // Update last opened time
-    const book = library.find(b => b.path === bookPath);
-    if (book) {
-      book.lastOpened = new Date().toISOString();
-      await saveLibrary();
+    highlight.color = highlightEditor.color;
+    highlight.note = document.getElementById('highlightEditorNote').value.trim();
+    highlight.tags = parseTagList(document.getElementById('highlightEditorTags').value);
+    if (highlightEditor.rangeChanged) {
+      applyHighlightEditorRange(highlight);
     }
+    highlight.modified = new Date().toISOString();
     
-    await loadBook(bookPath);
-    
-    // Resume from last position if available (EPUB only)
-    if (book && book.lastPosition && book.fileType === 'epub' && rendition) {
-      try {
-        await rendition.display(book.lastPosition);
-        console.log('Resumed from last position');
-      } catch (error) {
-        console.warn('Could not resume from last position:', error);
-      }
-    }
-    // For PDFs, go to last page if available
-    else if (book && book.lastPosition && book.fileType === 'pdf' && pdfViewer) {
-      try {
-        const pageNum = parseInt(book.lastPosition);
-        if (pageNum > 0) {
-          await pdfViewer.goToPage(pageNum);
-          console.log('Resumed PDF from page', pageNum);
-        }
-      } catch (error) {
-        console.warn('Could not resume PDF from last position:', error);
-      }
-    }
+    await saveHighlightsToFile();
+    applyHighlights();
+    updateHighlightsList();
+    closeHighlightEditor();
   } catch (error) {
-    console.error('Error opening book from library:', error);
-    alert('Failed to open book. The file may have been moved or deleted.');
+    console.error('Error saving highlight changes:', error);
+    alert(`Failed to save the highlight: ${error.message}`);
   }
 }
 
 /**
- * Render the library view
+ * Delete the highlight open in the editor
  */
-function renderLibrary() {
-  const grid = document.getElementById('libraryGrid');
-  const empty = document.getElementById('libraryEmpty');
+async function deleteEditedHighlight() {
+  if (!highlightEditor) return;
+  const highlightId = highlightEditor.highlight.id;
   
-  if (library.length === 0) {
-    grid.innerHTML = '';
-    empty.classList.remove('hidden');
-    return;
+  await deleteHighlight(highlightId);
+  if (!highlights.some(h => h.id === highlightId)) {
+    closeHighlightEditor();
   }
-  
-  empty.classList.add('hidden');
-  grid.innerHTML = '';
-  
-  // Get recently opened books (sorted by last opened, max 4)
-  const recentBooks = library
-    .filter(b => b.lastOpened)
-    .sort((a, b) => new Date(b.lastOpened) - new Date(a.lastOpened))
-    .slice(0, 4);
-  
-  // Show recently opened section if there are any
-  if (recentBooks.length > 0) {
-    const recentSection = document.createElement('div');
-    recentSection.className = 'library-section';
-    
-    const recentHeader = document.createElement('h2');
-    recentHeader.className = 'section-header';
-    recentHeader.textContent = 'Recently Opened';
-    recentSection.appendChild(recentHeader);
+}
+
+/**
+ * Go to a highlight and open it in the editor
+ * The highlight has to be displayed for its ends to be adjusted.
+ */
+async function editHighlight(highlight) {
+  closePanel('highlightsPanel');
+  recordNavigationJump();
+  await goToPosition(highlight.page !== undefined ? highlight.page : highlight.cfiRange);
+  openHighlightEditor(highlight);
+}
+
+/**
+ * Open the editor when a highlight in the book is clicked (not when text is being selected)
+ */
+function handleHighlightClick(event, contents) {
+  const selection = contents.window.getSelection();
+  if (selection && !selection.isCollapsed) return;
+  
+  const highlight = highlights.find(h => {
+    if (h.page !== undefined || new ePub.CFI(h.cfiRange).spinePos !== contents.sectionIndex) return false;
+    const range = contents.range(h.cfiRange);
+    return range && Array.from(range.getClientRects()).some(rect =>
+      event.clientX >= rect.left && event.clientX <= rect.right &&
+      event.clientY >= rect.top && event.clientY <= rect.bottom
+    );
+  });
+  if (highlight) {
+    openHighlightEditor(highlight);
+  }
+}
+
+// ============================================
+// Highlight Export
+// ============================================
+let exportHighlightsScope = 'book'; // 'book' (the open book) or 'library'
+
+function showExportHighlightsDialog(scope) {
+  exportHighlightsScope = scope;
+  document.getElementById('exportHighlightsScope').textContent = scope === 'book'
+    ? 'Save the highlights and notes of this book to a file.'
+    : 'Save the highlights and notes of every book in your library to one file.';
+  document.getElementById('exportHighlightsDialog').classList.remove('hidden');
+}
+
+function closeExportHighlightsDialog() {
+  document.getElementById('exportHighlightsDialog').classList.add('hidden');
+}
+
+/**
+ * Books with highlights and their highlights in reading order
+ * @returns {Promise<Array<{ book: Object, highlights: Array }>>}
+ */
+async function collectHighlightsForExport(scope) {
+  if (scope === 'book') {
+    if (highlights.length === 0) return [];
+    const entry = library.find(b => b.id === bookIdentifier) || {
+      id: bookIdentifier,
+      title: document.getElementById('bookTitle').textContent,
+      author: 'Unknown',
+      fileType: currentFileType
+    };
+    return [{ book: entry, highlights: sortHighlightsByPosition(highlights) }];
+  }
+  
+  const books = [];
+  for (const entry of library) {
+    const annotations = await window.electronAPI.loadHighlights(entry.id);
+    const saved = annotations.filter(annotation => annotation.type !== 'bookmark');
+    if (saved.length > 0) {
+      books.push({ book: entry, highlights: sortHighlightsByPosition(saved) });
+    }
+  }
+  return books;
+}
+
+/**
+ * Export highlights in the chosen format through a save dialog
+ */
+async function exportHighlights() {
+  const format = document.getElementById('exportHighlightsFormat').value;
+  const scope = exportHighlightsScope;
+  closeExportHighlightsDialog();
+  
+  try {
+    const books = await collectHighlightsForExport(scope);
+    if (books.length === 0) {
+      alert('There are no highlights to export yet.');
+      return;
+    }
     
-    const recentGrid = document.createElement('div');
-    recentGrid.className = 'library-grid-horizontal';
-    recentBooks.forEach(book => {
-      recentGrid.appendChild(createBookCard(book, true));
-    });
-    recentSection.appendChild(recentGrid);
-    grid.appendChild(recentSection);
+    const content = formatHighlightExport(format, books);
+    const defaultName = scope === 'book' ? `${books[0].book.title} - Highlights` : 'LapBook Highlights';
+    const result = await window.electronAPI.exportHighlights(defaultName, format, content);
+    if (!result) return; // Canceled
+    if (result.error) {
+      alert(`Failed to export highlights: ${result.error}`);
+      return;
+    }
     
-    // Add visual separator if there are more books
-    if (library.length > recentBooks.length) {
-      const separator = document.createElement('div');
-      separator.className = 'library-separator';
-      grid.appendChild(separator);
+    const count = books.reduce((sum, item) => sum + item.highlights.length, 0);
+    console.log(`Exported ${count} highlights to ${result.filePath}`);
+  } catch (error) {
+    console.error('Error exporting highlights:', error);
+    alert(`Failed to export highlights: ${error.message}`);
+  }
+}
+
+// ============================================
+// Annotation Import
+// ============================================
+const IMPORTED_COLORS = {
+  yellow: 'yellow',
+  green: 'green',
+  blue: 'blue',
+  pink: 'pink',
+  orange: 'orange',
+  red: 'pink',
+  purple: 'pink',
+  olive: 'green',
+  cyan: 'blue',
+  gray: 'yellow'
+};
+const IMPORT_FORMAT_NAMES = { kindle: 'Kindle', calibre: 'calibre', koreader: 'KOReader' };
+const QUOTE_ANCHOR_LENGTH = 40; // Characters matched at each end of a quote the book's text differs from
+const QUOTE_CHARACTERS = { '‘': "'", '’': "'", '“': '"', '”': '"', '–': '-', '—': '-' };
+
+/**
+ * Map a color from another reader to one of ours (calibre and KOReader name theirs)
+ */
+function mapImportedColor(color) {
+  return IMPORTED_COLORS[String(color || '').toLowerCase()] || 'yellow';
+}
+
+/**
+ * Lowercase letters and digits only, for comparing titles and authors
+ */
+function normalizeForMatching(text) {
+  return String(text || '').toLowerCase().replace(/[^\p{L}\p{N}]+/gu, ' ').trim();
+}
+
+/**
+ * Find the library book an imported book's annotations belong to
+ * Identifiers (ISBN, package identifier) win; otherwise the title must match,
+ * and the author too when the import names one. Guessing between several
+ * books would put the highlights in the wrong one, so that's no match.
+ * @returns {{ entry: Object|null, reason: string|undefined }} Library entry, or why there is none
+ */
+function matchAnnotationBook(source) {
+  for (const identifier of source.identifiers) {
+    const isbn = identifier.replace(/[^0-9x]/gi, '');
+    const bare = identifier.toLowerCase().replace(/^(urn:)?[a-z-]+:/, '');
+    const match = library.find(b =>
+      (b.isbn && (isbn.length === 10 || isbn.length === 13) && b.isbn.replace(/[^0-9x]/gi, '') === isbn) ||
+      (b.packageIdentifier && b.packageIdentifier.toLowerCase().replace(/^(urn:)?[a-z-]+:/, '') === bare)
+    );
+    if (match) return { entry: match };
+  }
+  
+  // Kindle and KOReader titles often carry a subtitle the library entry doesn't
+  const title = normalizeForMatching(source.title);
+  const shortTitle = normalizeForMatching(String(source.title || '').split(/[:(]/)[0]);
+  const noBook = { entry: null, reason: `no book "${source.title}" in the library` };
+  if (!title) return noBook;
+  
+  let candidates = library.filter(b => {
+    const bookTitle = normalizeForMatching(b.title);
+    return bookTitle === title || bookTitle === shortTitle ||
+      normalizeForMatching(String(b.title || '').split(/[:(]/)[0]) === shortTitle;
+  });
+  if (candidates.length === 0) return noBook;
+  
+  if (source.author) {
+    const authorWords = new Set(normalizeForMatching(source.author).split(' '));
+    candidates = candidates.filter(b => normalizeForMatching(b.author).split(' ').some(word => authorWords.has(word)));
+    if (candidates.length === 0) {
+      return { entry: null, reason: `no book "${source.title}" by ${source.author} in the library` };
+    }
+  }
+  if (candidates.length > 1) {
+    return { entry: null, reason: `${candidates.length} books in the library match "${source.title}"` };
+  }
+  return { entry: candidates[0] };
+}
+
+/**
+ * Text of a chapter document without whitespace, with each character's node and offset
+ * Typographic quotes and dashes become plain ones, since other readers export
+ * text with their own spacing and punctuation.
+ * @returns {{ text: string, positions: Array<{ node: Node, offset: number }> }}
+ */
+function flattenDocumentText(doc) {
+  const positions = [];
+  const characters = [];
+  const walker = doc.createTreeWalker(doc.body || doc.documentElement, NodeFilter.SHOW_TEXT);
+  for (let node = walker.nextNode(); node; node = walker.nextNode()) {
+    const value = node.nodeValue;
+    for (let offset = 0; offset < value.length; offset++) {
+      if (/\s/.test(value[offset])) continue;
+      characters.push(QUOTE_CHARACTERS[value[offset]] || value[offset]);
+      positions.push({ node, offset });
     }
   }
+  return { text: characters.join(''), positions };
+}
+
+function compactQuote(quote) {
+  return Array.from(quote).filter(char => !/\s/.test(char)).map(char => QUOTE_CHARACTERS[char] || char).join('');
+}
+
+/**
+ * Find a compacted quote in compacted chapter text
+ * If the whole quote isn't there, its first and last characters are looked
+ * for close together.
+ * @returns {{ start: number, end: number }|null} Indexes of the first and last character
+ */
+function findQuoteInText(text, target) {
+  const start = text.indexOf(target);
+  if (start !== -1) return { start, end: start + target.length - 1 };
+  if (target.length <= QUOTE_ANCHOR_LENGTH * 2) return null;
+  
+  const head = target.slice(0, QUOTE_ANCHOR_LENGTH);
+  const tail = target.slice(-QUOTE_ANCHOR_LENGTH);
+  for (let from = text.indexOf(head); from !== -1; from = text.indexOf(head, from + 1)) {
+    const tailAt = text.indexOf(tail, from + head.length);
+    if (tailAt !== -1 && tailAt + tail.length - from <= target.length * 1.5) {
+      return { start: from, end: tailAt + tail.length - 1 };
+    }
+  }
+  return null;
+}
+
+/**
+ * Compacted text of every chapter of an EPUB, read once per imported book
+ * @returns {Promise<Array<{ section: Object, text: string }>>}
+ */
+async function indexBookText(epubBook) {
+  const sections = [];
+  epubBook.spine.each(section => sections.push(section));
   
-  // Show "All Books" section only if there are more books than recent
-  const showAllBooksSection = library.length > 0 && (recentBooks.length === 0 || library.length > recentBooks.length);
+  const index = [];
+  for (const section of sections) {
+    try {
+      const doc = await section.load(epubBook.load.bind(epubBook));
+      index.push({ section, text: flattenDocumentText(doc).text });
+    } catch (error) {
+      console.warn('Could not read section for imported quotes:', section.href, error);
+    } finally {
+      section.unload();
+    }
+  }
+  return index;
+}
+
+/**
+ * Find a quote in the indexed chapters
+ * The chapter the other reader recorded is searched first, then the rest.
+ * @returns {Object|null} { chapter, start, end }
+ */
+function findQuoteInIndex(index, quote, spineIndex) {
+  const target = compactQuote(quote);
+  if (!target) return null;
+  
+  const hinted = index.find(chapter => chapter.section.index === spineIndex);
+  const chapters = hinted ? [hinted, ...index.filter(chapter => chapter !== hinted)] : index;
+  for (const chapter of chapters) {
+    const found = findQuoteInText(chapter.text, target);
+    if (found) return { chapter, ...found };
+  }
+  return null;
+}
+
+/**
+ * Turn found quotes into CFI ranges, loading each chapter with matches once
+ * @param {Array<Object>} matches - Results of findQuoteInIndex, given a cfiRange in place
+ */
+async function resolveQuoteRanges(epubBook, matches) {
+  const chapters = new Set(matches.map(match => match.chapter));
+  for (const { section } of chapters) {
+    try {
+      const doc = await section.load(epubBook.load.bind(epubBook));
+      const { positions } = flattenDocumentText(doc);
+      matches.filter(match => match.chapter.section === section).forEach(match => {
+        const range = doc.createRange();
+        range.setStart(positions[match.start].node, positions[match.start].offset);
+        range.setEnd(positions[match.end].node, positions[match.end].offset + 1);
+        match.cfiRange = section.cfiFromRange(range);
+      });
+    } catch (error) {
+      console.warn('Could not anchor imported quotes in section:', section.href, error);
+    } finally {
+      section.unload();
+    }
+  }
+}
+
+/**
+ * Re-anchor one imported book's annotations in a library book and save them
+ * Quotes already highlighted in the book are skipped.
+ * @param {Object} result - Counts and unplaced annotations, updated in place
+ */
+async function placeImportedAnnotations(entry, source, result) {
+  const arrayBuffer = await window.electronAPI.readEpubFile(entry.path);
+  const epubBook = ePub(arrayBuffer);
   
-  if (showAllBooksSection) {
-    // Add "All Books" header only if we have recent books
-    if (recentBooks.length > 0) {
-      const allBooksSection = document.createElement('div');
-      allBooksSection.className = 'library-section';
-      
-      const allBooksHeader = document.createElement('h2');
-      allBooksHeader.className = 'section-header';
-      allBooksHeader.textContent = 'All Books';
-      allBooksSection.appendChild(allBooksHeader);
-      
-      const allBooksGrid = document.createElement('div');
-      allBooksGrid.className = libraryViewMode === 'grid' ? 'library-grid' : 'library-list';
+  try {
+    await epubBook.ready;
+    const saved = await window.electronAPI.loadHighlights(entry.id);
+    const existing = new Set(saved.filter(a => a.type !== 'bookmark').map(a => normalizeForMatching(a.text)));
+    const index = await indexBookText(epubBook);
+    const matches = [];
+    
+    for (const annotation of source.annotations) {
+      if (!annotation.text) {
+        result.unplaced.push({ annotation, reason: 'note without highlighted text' });
+        continue;
+      }
+      if (existing.has(normalizeForMatching(annotation.text))) {
+        result.duplicates++;
+        continue;
+      }
       
-      library.forEach(book => {
-        allBooksGrid.appendChild(createBookCard(book, false));
+      const found = findQuoteInIndex(index, annotation.text, annotation.spineIndex);
+      if (!found) {
+        result.unplaced.push({ annotation, reason: 'quote not found in the book' });
+        continue;
+      }
+      matches.push({ annotation, ...found });
+      existing.add(normalizeForMatching(annotation.text));
+    }
+    
+    await resolveQuoteRanges(epubBook, matches);
+    
+    const added = [];
+    matches.forEach(({ annotation, chapter, cfiRange }) => {
+      if (!cfiRange) {
+        result.unplaced.push({ annotation, reason: 'quote not found in the book' });
+        return;
+      }
+      added.push({
+        id: `${Date.now()}-${added.length}`,
+        cfiRange,
+        text: annotation.text,
+        color: mapImportedColor(annotation.color),
+        note: annotation.note || '',
+        created: annotation.created || new Date().toISOString(),
+        chapter: annotation.chapter || getChapterTitle(chapter.section.index, epubBook),
+        importedFrom: source.format
       });
+    });
+    
+    if (added.length > 0) {
+      await window.electronAPI.saveHighlights(entry.id, [...saved, ...added]);
+      result.placed += added.length;
+    }
+    return added.length;
+  } finally {
+    epubBook.destroy();
+  }
+}
+
+/**
+ * Import highlights and notes from Kindle, calibre or KOReader files
+ * Each book in the files is matched to a library book and each quote is
+ * found in its text; whatever can't be placed is listed afterwards.
+ */
+async function importAnnotations() {
+  const files = await window.electronAPI.importHighlights();
+  if (!files) return; // Canceled
+  
+  const button = document.getElementById('importHighlightsBtn');
+  button.disabled = true;
+  const result = { placed: 0, duplicates: 0, unplaced: [], failedFiles: [] };
+  const sources = [];
+  files.forEach(file => {
+    if (file.error) {
+      result.failedFiles.push(file);
+    } else {
+      sources.push(...file.books);
+    }
+  });
+  
+  try {
+    for (let index = 0; index < sources.length; index++) {
+      const source = sources[index];
+      const unplaced = reason => source.annotations.forEach(annotation => result.unplaced.push({ annotation, reason }));
+      showImportProgress(`Importing highlights ${index + 1} of ${sources.length}: ${source.title}`, index / sources.length);
       
-      allBooksSection.appendChild(allBooksGrid);
-      grid.appendChild(allBooksSection);
+      const { entry, reason } = matchAnnotationBook(source);
+      if (!entry) {
+        unplaced(reason);
+        continue;
+      }
+      if (entry.missing) {
+        unplaced(`"${entry.title}" can't be found on disk`);
+        continue;
+      }
+      if (entry.fileType === 'pdf') {
+        unplaced(`"${entry.title}" is a PDF - only EPUB highlights can be imported`);
+        continue;
+      }
+      
+      try {
+        const added = await placeImportedAnnotations(entry, source, result);
+        console.log(`Imported ${added} ${IMPORT_FORMAT_NAMES[source.format]} highlights into "${entry.title}"`);
+        
+        // Show them right away if the book is open
+        if (added > 0 && entry.id === bookIdentifier && rendition) {
+          await loadHighlights();
+          applyHighlights();
+        }
+      } catch (error) {
+        console.error('Error importing highlights into book:', entry.path, error);
+        unplaced(`"${entry.title}" could not be read (${error.message})`);
+      }
+    }
+  } finally {
+    hideImportProgress();
+    button.disabled = false;
+  }
+  
+  showAnnotationImportSummary(result);
+}
+
+/**
+ * Tell the user how many highlights were imported and which couldn't be placed
+ */
+function showAnnotationImportSummary({ placed, duplicates, unplaced, failedFiles }) {
+  let message = `Highlight import finished.\n\n` +
+    `Imported: ${placed}\n` +
+    `Skipped (already highlighted): ${duplicates}\n` +
+    `Could not be placed: ${unplaced.length}`;
+  
+  const MAX_LISTED = 10;
+  if (failedFiles.length > 0) {
+    message += '\n\nCould not read:\n' + failedFiles
+      .map(f => `• ${f.fileName} - ${f.error}`)
+      .join('\n');
+  }
+  if (unplaced.length > 0) {
+    message += '\n\nNot placed:\n' + unplaced.slice(0, MAX_LISTED)
+      .map(({ annotation, reason }) => {
+        const quote = annotation.text || annotation.note;
+        const excerpt = quote.length > 60 ? `${quote.slice(0, 60)}…` : quote;
+        return `• "${excerpt}"${annotation.location ? ` (${annotation.location})` : ''} - ${reason}`;
+      })
+      .join('\n');
+    if (unplaced.length > MAX_LISTED) {
+      message += `\n…and ${unplaced.length - MAX_LISTED} more`;
+    }
+  }
+  
+  alert(message);
+}
+
+// ============================================
+// Notebook
+// ============================================
+let notebookEntries = []; // Highlights of every book ({ highlight, bookId, book }), book is null once removed
+let notebookFilter = { query: '', bookId: '', color: '', tag: '', from: '', to: '' };
+
+function isNotebookVisible() {
+  return !document.getElementById('notebookView').classList.contains('hidden');
+}
+
+/**
+ * Switch the library between the book grid and the notebook
+ */
+async function toggleNotebook() {
+  const show = !isNotebookVisible();
+  document.getElementById('notebookView').classList.toggle('hidden', !show);
+  document.getElementById('libraryBody').classList.toggle('hidden', show);
+  document.getElementById('notebookBtn').classList.toggle('active', show);
+  if (show) {
+    await loadNotebook();
+  }
+}
+
+/**
+ * Load the highlights of every book and refresh the filters and list
+ */
+async function loadNotebook() {
+  try {
+    const allAnnotations = await window.electronAPI.loadAllHighlights();
+    notebookEntries = [];
+    Object.entries(allAnnotations).forEach(([bookId, annotations]) => {
+      const book = library.find(b => b.id === bookId) || null;
+      annotations
+        .filter(annotation => annotation.type !== 'bookmark')
+        .forEach(highlight => notebookEntries.push({ highlight, bookId, book }));
+    });
+    notebookEntries.sort((a, b) => new Date(b.highlight.created) - new Date(a.highlight.created));
+    console.log(`Loaded ${notebookEntries.length} highlights into the notebook`);
+  } catch (error) {
+    console.error('Error loading notebook:', error);
+    notebookEntries = [];
+  }
+  
+  updateNotebookFilters();
+  renderNotebook();
+}
+
+/**
+ * Fill the book and tag filters from the loaded highlights
+ * A choice whose book or tag no longer has highlights falls back to "All".
+ */
+function updateNotebookFilters() {
+  const books = new Map();
+  const tags = new Set();
+  notebookEntries.forEach(({ highlight, bookId, book }) => {
+    books.set(bookId, book ? book.title : 'Removed book');
+    (highlight.tags || []).forEach(tag => tags.add(tag));
+  });
+  
+  const fillSelect = (select, allLabel, options, selected) => {
+    select.innerHTML = '';
+    [['', allLabel], ...options].forEach(([value, label]) => {
+      const option = document.createElement('option');
+      option.value = value;
+      option.textContent = label;
+      select.appendChild(option);
+    });
+    select.value = options.some(([value]) => value === selected) ? selected : '';
+    return select.value;
+  };
+  
+  notebookFilter.bookId = fillSelect(
+    document.getElementById('notebookBookFilter'),
+    'All books',
+    [...books.entries()].sort((a, b) => a[1].localeCompare(b[1])),
+    notebookFilter.bookId
+  );
+  notebookFilter.tag = fillSelect(
+    document.getElementById('notebookTagFilter'),
+    'Any tag',
+    [...tags].sort((a, b) => a.localeCompare(b)).map(tag => [tag, tag]),
+    notebookFilter.tag
+  );
+}
+
+/**
+ * Notebook entries matching the search and filters
+ * Every word of the search must appear in the quote or the note.
+ */
+function getFilteredNotebookEntries() {
+  const { query, bookId, color, tag, from, to } = notebookFilter;
+  const words = query.toLowerCase().split(/\s+/).filter(Boolean);
+  // Date inputs give local calendar days
+  const fromTime = from ? new Date(`${from}T00:00:00`).getTime() : -Infinity;
+  const toTime = to ? new Date(`${to}T23:59:59.999`).getTime() : Infinity;
+  
+  return notebookEntries.filter(({ highlight, bookId: entryBookId }) => {
+    if (bookId && entryBookId !== bookId) return false;
+    if (color && highlight.color !== color) return false;
+    if (tag && !(highlight.tags || []).includes(tag)) return false;
+    
+    const created = new Date(highlight.created).getTime();
+    if (created < fromTime || created > toTime) return false;
+    
+    const haystack = `${highlight.text}\n${highlight.note || ''}`.toLowerCase();
+    return words.every(word => haystack.includes(word));
+  });
+}
+
+function renderNotebook() {
+  const list = document.getElementById('notebookList');
+  const entries = getFilteredNotebookEntries();
+  list.innerHTML = '';
+  
+  document.getElementById('notebookCount').textContent = entries.length === notebookEntries.length
+    ? `${notebookEntries.length} highlight${notebookEntries.length === 1 ? '' : 's'}`
+    : `${entries.length} of ${notebookEntries.length} highlights`;
+  
+  if (entries.length === 0) {
+    list.innerHTML = notebookEntries.length === 0
+      ? '<div class="highlights-empty">No highlights yet. Highlights you make in any book show up here.</div>'
+      : '<div class="highlights-empty">No highlights match your search.</div>';
+    return;
+  }
+  
+  entries.forEach(entry => {
+    const { highlight, book } = entry;
+    const item = document.createElement('div');
+    item.className = `highlight-item color-${highlight.color}`;
+    if (!book) item.classList.add('notebook-orphan');
+    item.title = book ? 'Open the book at this highlight' : 'This book is no longer in your library';
+    
+    const text = document.createElement('div');
+    text.className = 'highlight-text';
+    text.textContent = `"${highlight.text}"`;
+    item.appendChild(text);
+    
+    if (highlight.note) {
+      const note = document.createElement('div');
+      note.className = 'highlight-note-display';
+      note.textContent = highlight.note;
+      item.appendChild(note);
+    }
+    
+    appendHighlightTags(item, highlight);
+    
+    const meta = document.createElement('div');
+    meta.className = 'bookmark-meta notebook-meta';
+    meta.textContent = [
+      book ? book.title : 'Removed book',
+      highlight.chapter,
+      highlight.page !== undefined ? `Page ${highlight.page}` : null,
+      highlight.created ? new Date(highlight.created).toLocaleDateString() : null
+    ].filter(Boolean).join(' · ');
+    item.appendChild(meta);
+    
+    item.addEventListener('click', () => openNotebookHighlight(entry));
+    list.appendChild(item);
+  });
+}
+
+/**
+ * Open a highlight's book at the highlight
+ */
+async function openNotebookHighlight({ highlight, book }) {
+  if (!book) {
+    alert('This book is no longer in your library. Add it again to open its highlights.');
+    return;
+  }
+  await openBookFromLibrary(book.path, highlight.page !== undefined ? highlight.page : highlight.cfiRange);
+}
+
+/**
+ * Wire up the notebook search box and filters
+ */
+function setupNotebook() {
+  document.getElementById('notebookBtn').addEventListener('click', toggleNotebook);
+  
+  let searchTimeout = null;
+  document.getElementById('notebookSearchInput').addEventListener('input', (e) => {
+    clearTimeout(searchTimeout);
+    searchTimeout = setTimeout(() => {
+      notebookFilter.query = e.target.value;
+      renderNotebook();
+    }, 150);
+  });
+  
+  const bindFilter = (elementId, key) => {
+    document.getElementById(elementId).addEventListener('change', (e) => {
+      notebookFilter[key] = e.target.value;
+      renderNotebook();
+    });
+  };
+  bindFilter('notebookBookFilter', 'bookId');
+  bindFilter('notebookColorFilter', 'color');
+  bindFilter('notebookTagFilter', 'tag');
+  bindFilter('notebookFromDate', 'from');
+  bindFilter('notebookToDate', 'to');
+}
+
+// ============================================
+// Bookmarks
+// ============================================
+const BOOKMARK_SNIPPET_LENGTH = 150;
+
+/**
+ * Bookmarks on the page currently shown
+ * @param {Object} [location] - epub.js location, defaults to the rendition's current one
+ */
+function getBookmarksOnCurrentPage(location) {
+  if (currentFileType === 'pdf') {
+    return pdfViewer ? bookmarks.filter(b => b.page === pdfViewer.currentPage) : [];
+  }
+  
+  location = location || (rendition && rendition.currentLocation());
+  if (!location || !location.start || !location.end) return [];
+  
+  const cfi = new ePub.CFI();
+  return bookmarks.filter(b => b.cfi &&
+    cfi.compare(b.cfi, location.start.cfi) >= 0 &&
+    cfi.compare(b.cfi, location.end.cfi) <= 0);
+}
+
+/**
+ * Bookmark the current page, or remove its bookmark if it has one (Ctrl+D)
+ */
+async function toggleBookmark() {
+  if (!bookIdentifier || (!rendition && !pdfViewer)) return;
+  
+  const existing = getBookmarksOnCurrentPage();
+  if (existing.length > 0) {
+    bookmarks = bookmarks.filter(b => !existing.includes(b));
+  } else {
+    const bookmark = currentFileType === 'pdf' ? await createPDFBookmark() : createEPUBBookmark();
+    if (!bookmark) return;
+    bookmarks.push(bookmark);
+  }
+  
+  await saveHighlightsToFile();
+  updateBookmarksList();
+  updateBookmarkIndicator();
+}
+
+function createEPUBBookmark() {
+  const location = rendition.currentLocation();
+  if (!location || !location.start) return null;
+  
+  return {
+    id: Date.now().toString(),
+    type: 'bookmark',
+    cfi: location.start.cfi,
+    chapter: getChapterTitle(location.start.index),
+    snippet: getEPUBSnippet(location.start.cfi),
+    created: new Date().toISOString()
+  };
+}
+
+async function createPDFBookmark() {
+  const page = pdfViewer.currentPage;
+  const text = await pdfViewer.extractPageText(page);
+  
+  return {
+    id: Date.now().toString(),
+    type: 'bookmark',
+    page,
+    chapter: getPDFChapterTitle(page),
+    snippet: formatSnippet(text),
+    created: new Date().toISOString()
+  };
+}
+
+/**
+ * The text at the start of the page, from the given CFI onwards
+ */
+function getEPUBSnippet(cfi) {
+  try {
+    const range = rendition.getRange(cfi);
+    if (!range) return '';
+    
+    const body = range.startContainer.ownerDocument.body;
+    range.setEnd(body, body.childNodes.length);
+    return formatSnippet(range.toString());
+  } catch (error) {
+    console.error('Error reading bookmark snippet:', error);
+    return '';
+  }
+}
+
+function formatSnippet(text) {
+  return text.replace(/\s+/g, ' ').trim().slice(0, BOOKMARK_SNIPPET_LENGTH);
+}
+
+/**
+ * Show the corner ribbon and fill the toolbar star while the page is bookmarked
+ */
+function updateBookmarkIndicator(location) {
+  const bookmarked = getBookmarksOnCurrentPage(location).length > 0;
+  document.getElementById('bookmarkRibbon').classList.toggle('hidden', !bookmarked);
+  
+  const button = document.getElementById('bookmarkBtn');
+  button.querySelector('.icon').textContent = bookmarked ? '★' : '☆';
+  button.title = bookmarked ? 'Remove bookmark (Ctrl+D)' : 'Bookmark this page (Ctrl+D)';
+}
+
+/**
+ * Ctrl+D toggles the bookmark on the current page
+ * @returns {boolean} Whether the key was handled
+ */
+function handleBookmarkKeys(e) {
+  if (!(e.ctrlKey || e.metaKey) || e.key.toLowerCase() !== 'd') return false;
+  
+  e.preventDefault();
+  toggleBookmark();
+  return true;
+}
+
+/**
+ * Update the bookmarks list in the highlights panel, in reading order
+ */
+function updateBookmarksList() {
+  const listContainer = document.getElementById('bookmarksList');
+  listContainer.innerHTML = '';
+  
+  if (bookmarks.length === 0) {
+    listContainer.innerHTML = '<div class="highlights-empty">No bookmarks yet. Press Ctrl+D to bookmark the current page.</div>';
+    return;
+  }
+  
+  const cfi = new ePub.CFI();
+  const sortedBookmarks = [...bookmarks].sort((a, b) =>
+    a.page !== undefined ? a.page - b.page : cfi.compare(a.cfi, b.cfi)
+  );
+  
+  sortedBookmarks.forEach(bookmark => {
+    const item = document.createElement('div');
+    item.className = 'highlight-item bookmark-item';
+    
+    const chapter = document.createElement('div');
+    chapter.className = 'bookmark-chapter';
+    chapter.textContent = bookmark.chapter || (bookmark.page ? `Page ${bookmark.page}` : 'Bookmark');
+    item.appendChild(chapter);
+    
+    if (bookmark.snippet) {
+      const snippet = document.createElement('div');
+      snippet.className = 'highlight-text';
+      snippet.textContent = `${bookmark.snippet}${bookmark.snippet.length >= BOOKMARK_SNIPPET_LENGTH ? '...' : ''}`;
+      item.appendChild(snippet);
+    }
+    
+    const meta = document.createElement('div');
+    meta.className = 'bookmark-meta';
+    const added = new Date(bookmark.created).toLocaleDateString();
+    meta.textContent = bookmark.page && bookmark.chapter ? `Page ${bookmark.page} · ${added}` : added;
+    item.appendChild(meta);
+    
+    const actions = document.createElement('div');
+    actions.className = 'highlight-actions';
+    
+    const goBtn = document.createElement('button');
+    goBtn.textContent = 'Go to';
+    goBtn.addEventListener('click', (e) => {
+      e.stopPropagation();
+      goToBookmark(bookmark);
+    });
+    actions.appendChild(goBtn);
+    
+    const deleteBtn = document.createElement('button');
+    deleteBtn.textContent = 'Delete';
+    deleteBtn.addEventListener('click', async (e) => {
+      e.stopPropagation();
+      await deleteBookmark(bookmark.id);
+    });
+    actions.appendChild(deleteBtn);
+    
+    item.appendChild(actions);
+    item.addEventListener('click', () => goToBookmark(bookmark));
+    
+    listContainer.appendChild(item);
+  });
+}
+
+async function goToBookmark(bookmark) {
+  closePanel('highlightsPanel');
+  recordNavigationJump();
+  await goToPosition(bookmark.page !== undefined ? bookmark.page : bookmark.cfi);
+}
+
+async function deleteBookmark(bookmarkId) {
+  if (!confirm('Delete this bookmark?')) return;
+  
+  bookmarks = bookmarks.filter(b => b.id !== bookmarkId);
+  await saveHighlightsToFile();
+  updateBookmarksList();
+  updateBookmarkIndicator();
+}
+
+/**
+ * Switch the highlights panel between its Highlights and Bookmarks lists
+ */
+function showAnnotationsTab(listId) {
+  document.querySelectorAll('.panel-tab').forEach(tab => {
+    tab.classList.toggle('active', tab.dataset.list === listId);
+    document.getElementById(tab.dataset.list).classList.toggle('hidden', tab.dataset.list !== listId);
+  });
+}
+
+function showBookmarksPanel() {
+  showAnnotationsTab('bookmarksList');
+  document.getElementById('highlightsPanel').classList.add('hidden');
+  togglePanel('highlightsPanel');
+}
+
+// ============================================
+// Library Management
+// ============================================
+
+/**
+ * Load library from disk
+ */
+async function loadLibrary() {
+  try {
+    library = await window.electronAPI.loadLibrary();
+    collections = await window.electronAPI.loadCollections();
+    console.log(`Loaded ${library.length} books and ${collections.length} shelves in library`);
+    if (migrateReadingStatus()) {
+      await saveLibrary();
+    }
+    renderLibrary();
+  } catch (error) {
+    console.error('Error loading library:', error);
+    library = library || [];
+  }
+}
+
+/**
+ * Check the library's files once the window is usable
+ * Stats every path and hashes books added before content-hash identities,
+ * which can take a while on a large library or a slow network drive.
+ */
+async function checkLibraryFiles() {
+  try {
+    await checkMissingBooks();
+    await migrateLibraryIdentities();
+    await backfillBookDetails();
+  } catch (error) {
+    console.error('Error checking library files:', error);
+  }
+}
+
+/**
+ * Re-key books added before content-hash identities (runs once per book)
+ */
+async function migrateLibraryIdentities() {
+  if (!library.some(b => !b.fileHash && !b.missing)) return;
+  
+  // The library can change while the files are hashed, so only the new
+  // identities are copied back onto the entries that were sent
+  const entries = [...library];
+  const result = await window.electronAPI.migrateLibraryIdentities(entries);
+  if (result.changed) {
+    result.library.forEach((migrated, index) => {
+      const { id, fileHash, fileSize, packageIdentifier, coverPath } = migrated;
+      Object.assign(entries[index], { id, fileHash, fileSize, packageIdentifier, coverPath });
+    });
+    await saveLibrary();
+    renderLibrary();
+  }
+}
+
+/**
+ * Flag library books whose files were moved, renamed or deleted
+ */
+async function checkMissingBooks() {
+  const missingPaths = new Set(await window.electronAPI.checkMissingFiles(library.map(b => b.path)));
+  let changed = false;
+  
+  library.forEach(book => {
+    const missing = missingPaths.has(book.path);
+    if (!!book.missing !== missing) {
+      book.missing = missing;
+      changed = true;
+    }
+  });
+  
+  if (changed) {
+    console.log(`${missingPaths.size} library books are missing`);
+    await saveLibrary();
+    renderLibrary();
+  }
+}
+
+/**
+ * Let the user relink a missing book by picking the file or a folder to search
+ * Searching a folder also relinks any other missing books found there.
+ * Progress, highlights and cover are kept because they are keyed by book id.
+ * @returns {Promise<boolean>} Whether the requested book was relinked
+ */
+async function locateMissingBook(bookId) {
+  const book = library.find(b => b.id === bookId);
+  if (!book) return false;
+  
+  try {
+    const missingBooks = library.filter(b => b.missing || b.id === bookId);
+    const result = await window.electronAPI.locateBook(book, missingBooks);
+    if (result.canceled) return false;
+    
+    const relinkedIds = Object.keys(result.matches);
+    relinkedIds.forEach(id => {
+      const entry = library.find(b => b.id === id);
+      const match = result.matches[id];
+      if (!entry) return;
+      
+      console.log(`Relinked "${entry.title}": ${entry.path} -> ${match.path}`);
+      entry.path = match.path;
+      entry.missing = false;
+      if (match.fileHash) {
+        entry.fileHash = match.fileHash;
+        entry.fileSize = match.fileSize;
+      }
+    });
+    
+    if (relinkedIds.length > 0) {
+      await saveLibrary();
+      renderLibrary();
+      // Books matched by file name still need a content-hash identity
+      await migrateLibraryIdentities();
+    }
+    
+    const found = relinkedIds.includes(bookId);
+    if (result.searchedFolder) {
+      const others = relinkedIds.length - (found ? 1 : 0);
+      let message = found
+        ? `Found "${book.title}".`
+        : `Could not find "${book.title}" in ${result.searchedFolder}.`;
+      if (others > 0) {
+        message += `\n\nAlso found ${others} other missing book${others === 1 ? '' : 's'}.`;
+      }
+      alert(message);
+    }
+    
+    return found;
+  } catch (error) {
+    console.error('Error locating book:', error);
+    alert('Failed to locate book: ' + error.message);
+    return false;
+  }
+}
+
+/**
+ * Save library to disk
+ */
+async function saveLibrary() {
+  try {
+    await window.electronAPI.saveLibrary(library, collections);
+  } catch (error) {
+    console.error('Error saving library:', error);
+  }
+}
+
+/**
+ * Add a book to the library
+ */
+async function addBookToLibrary(filePathArg = null, titleArg = null, authorArg = null, fileTypeArg = null) {
+  try {
+    console.log('addBookToLibrary called with:', { filePathArg, titleArg, authorArg, fileTypeArg });
+    
+    // Handle case where event object is passed instead of arguments
+    if (filePathArg && typeof filePathArg === 'object' && filePathArg.constructor.name === 'PointerEvent') {
+      console.log('Event object detected, ignoring it');
+      filePathArg = null;
+    }
+    
+    // If called programmatically with arguments, use them; otherwise open dialog
+    let filePath = filePathArg;
+    
+    if (!filePath) {
+      const filePaths = await window.electronAPI.importBooksDialog();
+      if (filePaths.length === 0) {
+        console.log('No file selected');
+        return;
+      }
+      
+      // Several files go through the import queue instead of being opened
+      if (filePaths.length > 1) {
+        queueBookImports(filePaths, { report: true });
+        return;
+      }
+      filePath = filePaths[0];
+    }
+    
+    console.log('Processing file:', filePath);
+    
+    const result = await importBookFile(filePath, { title: titleArg, author: authorArg, fileType: fileTypeArg });
+    if (result.status === 'imported' || result.status === 'relinked') {
+      await saveLibrary();
+      renderLibrary();
+    }
+    
+    // Open the book if not called programmatically
+    // (books already in the library are opened too when the user picked them)
+    if (!filePathArg) {
+      await loadBook(filePath);
+    }
+    
+  } catch (error) {
+    console.error('Error adding book to library:', error);
+    alert('Failed to add book to library. Please try again.');
+  }
+}
+
+/**
+ * Import a book file into the library (without saving or re-rendering)
+ * Reads metadata and extracts the cover. Files already in the library - at the
+ * same path, or with the same content at another path - are not added twice.
+ * @param {string} filePath - EPUB or PDF file path
+ * @param {Object} options - Optional { title, author, fileType } overrides
+ * @returns {Promise<Object>} { status: 'imported' | 'relinked' | 'existing' | 'duplicate', entry }
+ */
+async function importBookFile(filePath, options = {}) {
+  let { title = null, author = null, fileType = null } = options;
+  
+  // Determine file type if not provided
+  if (!fileType) {
+    const extension = filePath.split('.').pop().toLowerCase();
+    fileType = extension === 'pdf' ? 'pdf' : 'epub';
+  }
+  
+  // Check if book already exists in library
+  const existingBook = library.find(b => b.path === filePath);
+  if (existingBook) {
+    if (existingBook.missing) {
+      // The file came back (e.g. a drive was reconnected)
+      existingBook.missing = false;
+      return { status: 'relinked', entry: existingBook };
+    }
+    return { status: 'existing', entry: existingBook };
+  }
+  
+  // Identify the book by content so the same file at another path isn't added twice
+  // Books whose metadata was saved to the file keep their id, so the hash is compared too
+  const identity = await window.electronAPI.getBookIdentity(filePath);
+  const bookId = identity.id;
+  const sameContent = library.find(b => b.id === bookId || b.fileHash === identity.fileHash);
+  if (sameContent) {
+    if (sameContent.missing) {
+      // Moved or renamed - point the existing entry (progress, highlights, cover) at it
+      console.log(`Relinked "${sameContent.title}": ${sameContent.path} -> ${filePath}`);
+      sameContent.path = filePath;
+      sameContent.missing = false;
+      return { status: 'relinked', entry: sameContent };
+    }
+    console.log('Book already in library under another path:', sameContent.path);
+    return { status: 'duplicate', entry: sameContent };
+  }
+  
+  // Read and parse the file to get metadata
+  const arrayBuffer = await window.electronAPI.readEpubFile(filePath);
+  let coverPath = null;
+  let details = {}; // Publisher, series, ISBN, ...
+  
+  if (fileType === 'pdf') {
+    // Handle PDF (read metadata without rendering over the open document)
+    if (!pdfJsLoaded || !pdfViewerLoaded) {
+      await loadPDFLibraries();
+    }
+    const metadata = await PDFViewer.readMetadata(arrayBuffer);
+    
+    title = title || metadata.title || filePath.split('\\\\').pop();
+    author = author || metadata.author || 'Unknown';
+    details = {
+      description: metadata.subject,
+      language: metadata.language,
+      publishedDate: metadata.creationDate,
+      subjects: metadata.keywords ? parseCommaList(metadata.keywords.replace(/;/g, ',')) : []
+    };
+  } else {
+    // Handle EPUB
+    const tempBook = ePub(arrayBuffer);
+    await tempBook.ready;
+    
+    const metadata = await tempBook.loaded.metadata;
+    const cover = await tempBook.loaded.cover;
+    
+    // Full package metadata (all authors, series, ISBN, ...) read in the main process
+    details = (await window.electronAPI.readBookMetadata(filePath)) || {};
+    
+    title = title || details.title || metadata.title || 'Unknown Title';
+    author = author || details.author || metadata.creator || 'Unknown Author';
+    
+    // Extract and save cover image if available
+    if (cover) {
+      try {
+        const coverUrl = await tempBook.coverUrl();
+        if (coverUrl) {
+          // Convert cover to base64 and save
+          const response = await fetch(coverUrl);
+          const blob = await response.blob();
+          const reader = new FileReader();
+          const base64Data = await new Promise((resolve) => {
+            reader.onloadend = () => resolve(reader.result);
+            reader.readAsDataURL(blob);
+          });
+          coverPath = await window.electronAPI.saveCover(bookId, base64Data);
+        }
+      } catch (error) {
+        console.warn('Could not extract cover from cover property:', error);
+      }
+    }
+    
+    // If no cover found, try to extract first page as cover
+    if (!coverPath) {
+      try {
+        // Get first spine item (usually the cover page)
+        const spineItem = tempBook.spine.get(0);
+        if (spineItem) {
+          await spineItem.load(tempBook.load.bind(tempBook));
+          const doc = spineItem.document;
+          
+          // Try to find first image in the document
+          const img = doc.querySelector('img');
+          if (img && img.src) {
+            const imgUrl = img.src.startsWith('http') ? img.src : tempBook.url(img.src);
+            const response = await fetch(imgUrl);
+            const blob = await response.blob();
+            const reader = new FileReader();
+            const base64Data = await new Promise((resolve) => {
+              reader.onloadend = () => resolve(reader.result);
+              reader.readAsDataURL(blob);
+            });
+            coverPath = await window.electronAPI.saveCover(bookId, base64Data);
+            console.log('Extracted cover from first page');
+          }
+        }
+      } catch (error) {
+        console.warn('Could not extract cover from first page:', error);
+      }
+    }
+    
+    // Destroy temp book
+    tempBook.destroy();
+  }
+  
+  // Create library entry
+  const libraryEntry = {
+    id: bookId,          // Content-hash identity (also names highlights and cover files)
+    fileHash: identity.fileHash,
+    fileSize: identity.fileSize,
+    packageIdentifier: identity.packageIdentifier,
+    path: filePath,
+    title: title,
+    author: author,
+    fileType: fileType,  // Add file type
+    coverPath: coverPath,
+    addedDate: new Date().toISOString(),
+    lastOpened: null,
+    lastPosition: null,  // CFI (EPUB) or page number (PDF) of last reading position
+    pdfView: null,       // Zoom scale and scroll offset of last PDF position
+    progress: 0,         // Reading progress percentage (0-100)
+    collections: [],     // Ids of the shelves the book is on
+    tags: [],
+    status: 'unread',
+    readingHistory: [],  // One { started, finished, abandoned } entry per read
+    ...pickBookDetails(details),
+    detailsExtracted: true
+  };
+  
+  library.unshift(libraryEntry); // Add to beginning
+  return { status: 'imported', entry: libraryEntry };
+}
+
+/**
+ * Queue book files for background import
+ * Files are imported one at a time so large imports don't block the UI.
+ * @param {string[]} filePaths - EPUB or PDF file paths
+ * @param {Object} options - { report: show a summary when the queue finishes }
+ */
+function queueBookImports(filePaths, options = {}) {
+  const { report = false } = options;
+  
+  filePaths.forEach(filePath => {
+    const queued = importQueue.find(item => item.filePath === filePath);
+    if (queued) {
+      queued.report = queued.report || report;
+    } else {
+      importQueue.push({ filePath, report });
+    }
+  });
+  
+  if (!importRunning) {
+    processImportQueue();
+  }
+}
+
+/**
+ * Import queued files, showing progress in the library header
+ * A file that fails to import is logged and skipped. Files the user chose
+ * to import are counted for a summary once the queue is empty.
+ */
+async function processImportQueue() {
+  importRunning = true;
+  const summary = { imported: 0, skipped: 0, failed: [] };
+  let reported = 0;
+  let processed = 0;
+  let added = 0;
+  
+  while (importQueue.length > 0) {
+    const { filePath, report } = importQueue.shift();
+    const fileName = filePath.split(/[\\/]/).pop();
+    const total = processed + importQueue.length + 1;
+    let status = `Importing ${processed + 1} of ${total}: ${fileName}`;
+    if (summary.failed.length > 0) {
+      status += ` (${summary.failed.length} failed)`;
+    }
+    showImportProgress(status, processed / total);
+    
+    try {
+      const result = await importBookFile(filePath);
+      const isNew = result.status === 'imported' || result.status === 'relinked';
+      if (isNew) added++;
+      if (report && isNew) {
+        summary.imported++;
+      } else if (report) {
+        summary.skipped++;
+      }
+    } catch (error) {
+      console.error('Error importing book:', filePath, error);
+      if (report) {
+        summary.failed.push({ fileName, message: error.message || String(error) });
+      }
+    }
+    if (report) reported++;
+    processed++;
+    
+    // Show books as they arrive in large imports
+    if (added > 0 && processed % 20 === 0) {
+      await saveLibrary();
+      renderLibrary();
+    }
+    
+    // Let the UI update between files
+    await new Promise(resolve => setTimeout(resolve, 0));
+  }
+  
+  if (added > 0) {
+    await saveLibrary();
+    renderLibrary();
+  }
+  
+  console.log(`Import finished: ${added} added, ${processed} processed`);
+  hideImportProgress();
+  importRunning = false;
+  
+  if (reported > 0) {
+    showImportSummary(summary);
+  }
+}
+
+/**
+ * Tell the user how a bulk import went
+ */
+function showImportSummary({ imported, skipped, failed }) {
+  let message = `Import finished.\n\n` +
+    `Imported: ${imported}\n` +
+    `Skipped (already in library): ${skipped}\n` +
+    `Failed: ${failed.length}`;
+  
+  if (failed.length > 0) {
+    const MAX_LISTED = 10;
+    message += '\n\nCould not import:\n' + failed.slice(0, MAX_LISTED)
+      .map(f => `• ${f.fileName} - ${f.message}`)
+      .join('\n');
+    if (failed.length > MAX_LISTED) {
+      message += `\n…and ${failed.length - MAX_LISTED} more`;
+    }
+  }
+  
+  alert(message);
+}
+
+/**
+ * Import a whole folder of books (recursively)
+ */
+async function importFolder() {
+  try {
+    const result = await window.electronAPI.importFolderDialog();
+    if (!result) return;
+    importBooksFromFolder(result.files, result.folder);
+  } catch (error) {
+    console.error('Error importing folder:', error);
+    alert('Failed to import folder: ' + error.message);
+  }
+}
+
+/**
+ * Queue the books found in a folder, or say there were none
+ */
+function importBooksFromFolder(filePaths, folder) {
+  if (filePaths.length === 0) {
+    alert(`No EPUB or PDF files found in ${folder}.`);
+    return;
+  }
+  queueBookImports(filePaths, { report: true });
+}
+
+/**
+ * Show the import/scan status bar above the library
+ * @param {string} text - Status text
+ * @param {number|null} fraction - Progress from 0 to 1, or null for no bar
+ */
+function showImportProgress(text, fraction = null) {
+  const status = document.getElementById('libraryImportStatus');
+  const fill = document.getElementById('libraryImportProgressFill');
+  
+  document.getElementById('libraryImportText').textContent = text;
+  fill.parentElement.classList.toggle('hidden', fraction === null);
+  fill.style.width = `${Math.round((fraction || 0) * 100)}%`;
+  status.classList.remove('hidden');
+}
+
+function hideImportProgress() {
+  document.getElementById('libraryImportStatus').classList.add('hidden');
+}
+
+/**
+ * Remove a book from the library
+ */
+async function removeBookFromLibrary(bookId) {
+  if (!confirm('Remove this book from your library?')) return;
+  
+  library = library.filter(b => b.id !== bookId);
+  selectedBookIds.delete(bookId);
+  await saveLibrary();
+  renderLibrary();
+}
+
+/**
+ * Open edit book dialog
+ */
+let editingBookId = null;
+
+function openEditBookDialog(bookId) {
+  const book = library.find(b => b.id === bookId);
+  if (!book) return;
+  
+  editingBookId = bookId;
+  pendingCoverData = null;
+  document.getElementById('editBookTitle').value = book.title;
+  document.getElementById('editBookAuthor').value = book.author;
+  document.getElementById('editBookSeries').value = book.series || '';
+  document.getElementById('editBookSeriesIndex').value = book.seriesIndex ?? '';
+  document.getElementById('editBookPublisher').value = book.publisher || '';
+  document.getElementById('editBookPublished').value = book.publishedDate || '';
+  document.getElementById('editBookLanguage').value = book.language || '';
+  document.getElementById('editBookIsbn').value = book.isbn || '';
+  document.getElementById('editBookSubjects').value = (book.subjects || []).join(', ');
+  document.getElementById('editBookTags').value = (book.tags || []).join(', ');
+  document.getElementById('editBookDescription').value = book.description || '';
+  showEditCoverPreview(book.coverPath ? getCoverUrl(book) : null);
+  
+  // Only EPUBs can have their metadata written back
+  document.getElementById('editBookSaveToFile').checked = false;
+  document.getElementById('editBookSaveToFileOption').classList.toggle('hidden', book.fileType === 'pdf' || !!book.missing);
+  document.getElementById('editBookDialog').classList.remove('hidden');
+}
+
+/**
+ * Save edited book metadata
+ */
+async function saveEditedBook() {
+  if (!editingBookId) return;
+  
+  const book = library.find(b => b.id === editingBookId);
+  if (!book) return;
+  
+  book.title = document.getElementById('editBookTitle').value || 'Unknown Title';
+  book.author = document.getElementById('editBookAuthor').value || 'Unknown Author';
+  book.series = document.getElementById('editBookSeries').value.trim() || null;
+  const seriesIndex = parseFloat(document.getElementById('editBookSeriesIndex').value);
+  book.seriesIndex = Number.isFinite(seriesIndex) ? seriesIndex : null;
+  book.publisher = document.getElementById('editBookPublisher').value.trim() || null;
+  book.publishedDate = document.getElementById('editBookPublished').value.trim() || null;
+  book.language = document.getElementById('editBookLanguage').value.trim() || null;
+  book.isbn = document.getElementById('editBookIsbn').value.replace(/[\s-]/g, '') || null;
+  book.subjects = parseCommaList(document.getElementById('editBookSubjects').value);
+  book.tags = parseTagList(document.getElementById('editBookTags').value);
+  book.description = document.getElementById('editBookDescription').value.trim() || null;
+  
+  const coverData = pendingCoverData;
+  if (pendingCoverData) {
+    const coverPath = await window.electronAPI.saveCover(book.id, pendingCoverData);
+    if (coverPath) {
+      book.coverPath = coverPath;
+      book.coverVersion = Date.now();
+    }
+    pendingCoverData = null;
+  }
+  
+  const saveToFile = document.getElementById('editBookSaveToFile').checked && book.fileType !== 'pdf';
+  
+  // Close dialog
+  document.getElementById('editBookDialog').classList.add('hidden');
+  editingBookId = null;
+  
+  if (saveToFile) {
+    await saveMetadataToFile(book, coverData);
+  }
+  
+  await saveLibrary();
+  renderLibrary();
+}
+
+/**
+ * Write a book's edited metadata into its EPUB file
+ * The file is rewritten to a temporary copy, which must open in epub.js
+ * before it replaces the original (a backup of the original is kept).
+ * The book keeps its id, so progress and highlights stay attached.
+ * @param {Object} book - Library entry with the edited metadata
+ * @param {string} coverData - New cover as a JPEG data URL, or null to keep the cover
+ * @returns {Promise<boolean>} Whether the file was updated
+ */
+async function saveMetadataToFile(book, coverData) {
+  const changes = {
+    series: book.series,
+    seriesIndex: book.seriesIndex,
+    description: book.description,
+    coverData
+  };
+  // Placeholders are only for display - leave the file's own title and authors alone
+  const title = book.title === 'Unknown Title' ? null : book.title;
+  if (title) changes.title = title;
+  if (book.author && book.author !== 'Unknown Author') changes.author = book.author;
+  
+  const result = await window.electronAPI.writeBookMetadata(book.path, changes);
+  
+  if (result.error) {
+    alert(`Could not save the changes to the EPUB file: ${result.error}\n\nThe original file was not changed.`);
+    return false;
+  }
+  
+  if (result.written.length === 0) {
+    // The file already matches - nothing to replace
+    await window.electronAPI.discardBookMetadata(book.path);
+    return true;
+  }
+  
+  try {
+    await validateRewrittenEpub(result.tempPath, title);
+  } catch (error) {
+    console.error('Rewritten EPUB failed validation:', error);
+    await window.electronAPI.discardBookMetadata(book.path);
+    alert(`Could not save the changes to the EPUB file: the updated book could not be opened (${error.message}).\n\nThe original file was not changed.`);
+    return false;
+  }
+  
+  const commit = await window.electronAPI.commitBookMetadata(book.path);
+  if (commit.error) {
+    await window.electronAPI.discardBookMetadata(book.path);
+    alert(`Could not replace the EPUB file: ${commit.error}\n\nThe original file was not changed.`);
+    return false;
+  }
+  
+  // The content changed, so keep the hash current for relinking moved files
+  book.fileHash = commit.fileHash;
+  book.fileSize = commit.fileSize;
+  console.log(`Saved ${result.written.join(', ')} to ${book.path} (backup: ${commit.backupPath})`);
+  return true;
+}
+
+/**
+ * Check that a rewritten EPUB still opens in epub.js
+ * Throws if the package can't be parsed, the title didn't survive,
+ * or the first chapter can't be loaded.
+ */
+async function validateRewrittenEpub(filePath, expectedTitle) {
+  const arrayBuffer = await window.electronAPI.readEpubFile(filePath);
+  const testBook = ePub(arrayBuffer);
+  
+  try {
+    await testBook.ready;
+    const metadata = await testBook.loaded.metadata;
+    if (expectedTitle && (metadata.title || '').trim() !== expectedTitle.trim()) {
+      throw new Error(`title reads back as "${metadata.title}"`);
+    }
+    
+    const firstSection = testBook.spine.get(0);
+    if (!firstSection) {
+      throw new Error('the book has no chapters');
+    }
+    await firstSection.load(testBook.load.bind(testBook));
+  } finally {
+    testBook.destroy();
+  }
+}
+
+/**
+ * Cancel edit book dialog
+ */
+function cancelEditBook() {
+  document.getElementById('editBookDialog').classList.add('hidden');
+  pendingCoverData = null;
+  editingBookId = null;
+}
+
+/**
+ * Open a book from the library
+ * @param {string} bookPath
+ * @param {string|number|null} startPosition - CFI or PDF page to open at instead of the last position
+ */
+async function openBookFromLibrary(bookPath, startPosition = null) {
+  try {
+    const book = library.find(b => b.path === bookPath);
+    
+    // Offer to relink the book if its file was moved or renamed
+    if (book) {
+      const missingPaths = await window.electronAPI.checkMissingFiles([book.path]);
+      if (missingPaths.length > 0) {
+        if (!book.missing) {
+          book.missing = true;
+          renderLibrary();
+        }
+        if (!(await locateMissingBook(book.id))) return;
+        bookPath = book.path;
+      }
+    }
+    
+    // Remember the saved PDF view before loading (rendering page 1 reports a new position)
+    const savedPdfView = book && book.pdfView ? { ...book.pdfView } : null;
+    const savedPosition = book ? book.lastPosition : null;
+    
+    await loadBook(bookPath, { restorePosition: async () => {
+      // Open at the requested position (e.g. a highlight picked in the notebook)
+      if (startPosition !== null && (rendition || pdfViewer)) {
+        try {
+          await goToPosition(startPosition);
+        } catch (error) {
+          console.warn('Could not open at the requested position:', error);
+        }
+      }
+      // Resume from last position if available (EPUB only)
+      else if (book && savedPosition && book.fileType === 'epub' && rendition) {
+        try {
+          await rendition.display(savedPosition);
+          console.log('Resumed from last position');
+        } catch (error) {
+          console.warn('Could not resume from last position:', error);
+        }
+      }
+      // For PDFs, go to last page (with zoom and scroll offset) if available
+      else if (book && savedPosition && book.fileType === 'pdf' && pdfViewer) {
+        try {
+          const pageNum = parseInt(savedPosition);
+          if (pageNum > 0) {
+            await pdfViewer.restorePosition({ page: pageNum, ...savedPdfView });
+            console.log('Resumed PDF from page', pageNum);
+          }
+        } catch (error) {
+          console.warn('Could not resume PDF from last position:', error);
+        }
+      }
+    } });
+  } catch (error) {
+    console.error('Error opening book from library:', error);
+    alert('Failed to open book. The file may have been moved or deleted.');
+  }
+}
+
+/**
+ * Open a book requested from the command line or a file association
+ * The book is added to the library first, so it resumes where it was left
+ * unless a page (PDF) or CFI (EPUB) was given.
+ * @param {Object} request - { filePath, page, cfi }
+ */
+async function openBookRequest(request) {
+  const { filePath, page, cfi } = request;
+  console.log('Opening requested book:', request);
+  
+  let result;
+  try {
+    result = await importBookFile(filePath);
+    if (result.status === 'imported' || result.status === 'relinked') {
+      await saveLibrary();
+      renderLibrary();
+    }
+  } catch (error) {
+    console.error('Error importing requested book:', error);
+    alert(`Could not open ${filePath}\n\n${error.message}`);
+    return;
+  }
+  
+  // A copy of a library book opens the library entry, keeping its progress and status
+  await openBookFromLibrary(result.entry.path);
+  
+  try {
+    if (cfi && currentFileType === 'epub' && rendition) {
+      await rendition.display(cfi);
+    } else if (page && currentFileType === 'pdf' && pdfViewer) {
+      await pdfViewer.goToPage(Math.min(page, pdfViewer.totalPages));
+    } else if (cfi || page) {
+      console.warn('Ignoring position that does not match the book type:', { page, cfi });
+    }
+  } catch (error) {
+    console.warn('Could not go to requested position:', error);
+  }
+}
+
+/**
+ * Render the library view
+ */
+function renderLibrary() {
+  const grid = document.getElementById('libraryGrid');
+  const empty = document.getElementById('libraryEmpty');
+  
+  // Fall back to all books when the shelf was deleted or no book has the tag any more
+  const shelfGone = libraryFilter.type === 'collection' && !collections.some(c => c.id === libraryFilter.value);
+  const tagGone = libraryFilter.type === 'tag' && !library.some(b => (b.tags || []).includes(libraryFilter.value));
+  const seriesGone = libraryFilter.type === 'series' && libraryFilter.value && !findSeries(libraryFilter.value);
+  if (shelfGone || tagGone || seriesGone) {
+    setLibraryFilter('all');
+    return;
+  }
+  
+  renderLibrarySidebar();
+  updateSelectionBar();
+  updateLibraryToolbar();
+  
+  if (library.length === 0) {
+    grid.innerHTML = '';
+    empty.classList.remove('hidden');
+    return;
+  }
+  
+  empty.classList.add('hidden');
+  grid.innerHTML = '';
+  
+  if (libraryFilter.type === 'series' && !libraryFilter.value) {
+    renderSeriesOverview(grid);
+    return;
+  }
+  
+  // A shelf, tag, series, search or filter shows just the matching books
+  if (libraryFilter.type !== 'all' || isLibraryFiltered()) {
+    renderFilteredLibrary(grid);
+    return;
+  }
+  
+  // Get recently opened books (sorted by last opened, max 4)
+  const recentBooks = library
+    .filter(b => b.lastOpened)
+    .sort((a, b) => new Date(b.lastOpened) - new Date(a.lastOpened))
+    .slice(0, 4);
+  
+  // Show recently opened section if there are any
+  if (recentBooks.length > 0) {
+    const recentSection = document.createElement('div');
+    recentSection.className = 'library-section';
+    
+    const recentHeader = document.createElement('h2');
+    recentHeader.className = 'section-header';
+    recentHeader.textContent = 'Recently Opened';
+    recentSection.appendChild(recentHeader);
+    
+    const recentGrid = document.createElement('div');
+    recentGrid.className = 'library-grid-horizontal';
+    recentBooks.forEach(book => {
+      recentGrid.appendChild(createBookCard(book, true));
+    });
+    recentSection.appendChild(recentGrid);
+    grid.appendChild(recentSection);
+    
+    // Add visual separator if there are more books
+    if (library.length > recentBooks.length) {
+      const separator = document.createElement('div');
+      separator.className = 'library-separator';
+      grid.appendChild(separator);
+    }
+  }
+  
+  // Show "All Books" section only if there are more books than recent
+  const showAllBooksSection = library.length > 0 && (recentBooks.length === 0 || library.length > recentBooks.length);
+  
+  if (showAllBooksSection) {
+    // Add "All Books" header only if we have recent books
+    if (recentBooks.length > 0) {
+      const allBooksSection = document.createElement('div');
+      allBooksSection.className = 'library-section';
+      
+      const allBooksHeader = document.createElement('h2');
+      allBooksHeader.className = 'section-header';
+      allBooksHeader.textContent = 'All Books';
+      allBooksSection.appendChild(allBooksHeader);
+      
+      const allBooksGrid = document.createElement('div');
+      allBooksGrid.className = libraryViewMode === 'grid' ? 'library-grid' : 'library-list';
+      
+      sortBooks(library, settingsManager.get('librarySort')).forEach(book => {
+        allBooksGrid.appendChild(createBookCard(book, false));
+      });
+      
+      allBooksSection.appendChild(allBooksGrid);
+      grid.appendChild(allBooksSection);
+    } else {
+      // No recent books, just show all books without section header
+      const allBooksGrid = document.createElement('div');
+      allBooksGrid.className = libraryViewMode === 'grid' ? 'library-grid' : 'library-list';
+      allBooksGrid.style.marginTop = '20px';
+      
+      sortBooks(library, settingsManager.get('librarySort')).forEach(book => {
+        allBooksGrid.appendChild(createBookCard(book, false));
+      });
+      
+      grid.appendChild(allBooksGrid);
+    }
+  }
+}
+
+/**
+ * Render the books on the selected shelf or with the selected tag
+ */
+function renderFilteredLibrary(grid) {
+  const books = getFilteredBooks();
+  const section = document.createElement('div');
+  section.className = 'library-section';
+  
+  const header = document.createElement('h2');
+  header.className = 'section-header';
+  if (libraryFilter.type === 'collection') {
+    const collection = collections.find(c => c.id === libraryFilter.value);
+    header.textContent = collection ? collection.name : 'Shelf';
+  } else if (libraryFilter.type === 'tag') {
+    header.textContent = `#${libraryFilter.value}`;
+  } else if (libraryFilter.type === 'series') {
+    header.textContent = libraryFilter.value;
+  } else {
+    header.textContent = 'All Books';
+  }
+  
+  const count = document.createElement('span');
+  count.className = 'section-count';
+  count.textContent = `${books.length} book${books.length === 1 ? '' : 's'}`;
+  header.appendChild(count);
+  section.appendChild(header);
+  
+  if (books.length === 0) {
+    const hint = document.createElement('p');
+    hint.className = 'library-filter-empty';
+    if (isLibraryFiltered()) {
+      hint.textContent = 'No books match your search and filters.';
+    } else if (libraryFilter.type === 'collection') {
+      hint.textContent = 'No books on this shelf yet. Drag books onto it in the sidebar, or use Select to add several at once.';
+    } else if (libraryFilter.type === 'series') {
+      hint.textContent = 'No books in this series.';
+    } else {
+      hint.textContent = 'No books have this tag.';
+    }
+    section.appendChild(hint);
+  } else {
+    const booksGrid = document.createElement('div');
+    booksGrid.className = libraryViewMode === 'grid' ? 'library-grid' : 'library-list';
+    books.forEach(book => {
+      booksGrid.appendChild(createBookCard(book, true));
+    });
+    section.appendChild(booksGrid);
+  }
+  
+  grid.appendChild(section);
+}
+
+/**
+ * Create a book card element
+ * @param {Object} book - Book object from library
+ * @param {Boolean} showProgress - Whether to show reading progress
+ */
+function createBookCard(book, showProgress) {
+  const card = document.createElement('div');
+    card.className = book.missing ? 'book-card book-missing' : 'book-card';
+    card.classList.toggle('selected', selectedBookIds.has(book.id));
+    card.dataset.bookId = book.id;
+    
+    // Drag onto a shelf or tag in the sidebar
+    card.draggable = true;
+    card.addEventListener('dragstart', (e) => handleBookDragStart(e, book));
+    
+    // Cover image
+    const cover = document.createElement('div');
+    cover.className = 'book-cover';
+    if (book.coverPath) {
+      const img = document.createElement('img');
+      img.src = getCoverUrl(book);
+      img.alt = book.title;
+      img.onerror = () => {
+        cover.innerHTML = '<div class="book-cover-placeholder">📖</div>';
+      };
+      cover.appendChild(img);
+    } else {
+      cover.innerHTML = '<div class="book-cover-placeholder">📖</div>';
+    }
+    
+    // Add file type badge
+    const typeBadge = document.createElement('div');
+    typeBadge.className = 'file-type-badge';
+    typeBadge.textContent = (book.fileType || 'epub').toUpperCase();
+    cover.appendChild(typeBadge);
+    
+    // Flag books whose file can't be found
+    if (book.missing) {
+      const missingBadge = document.createElement('div');
+      missingBadge.className = 'missing-badge';
+      missingBadge.textContent = 'File missing';
+      missingBadge.title = `Not found at ${book.path}`;
+      cover.appendChild(missingBadge);
+    }
+    
+    // Statuses the progress bar doesn't show
+    const status = getReadingStatus(book);
+    if (['want-to-read', 'finished', 'abandoned'].includes(status)) {
+      const statusBadge = document.createElement('div');
+      statusBadge.className = `status-badge status-${status}`;
+      statusBadge.textContent = READING_STATUSES[status];
+      cover.appendChild(statusBadge);
+    }
+    
+    // Selection checkbox (shown while selecting)
+    if (librarySelectMode) {
+      const check = document.createElement('div');
+      check.className = 'book-select-check';
+      check.textContent = selectedBookIds.has(book.id) ? '✓' : '';
+      cover.appendChild(check);
+    }
+    
+    card.appendChild(cover);
+    
+    // Book info
+    const info = document.createElement('div');
+    info.className = 'book-info';
+    
+    const title = document.createElement('div');
+    title.className = 'book-title';
+    title.textContent = book.title;
+    title.title = book.title;
+    info.appendChild(title);
+    
+    const author = document.createElement('div');
+    author.className = 'book-author';
+    author.textContent = book.author;
+    author.title = book.author;
+    info.appendChild(author);
+    
+    if (book.series) {
+      const series = document.createElement('div');
+      series.className = 'book-series';
+      series.textContent = Number.isFinite(book.seriesIndex) ? `${book.series} #${book.seriesIndex}` : book.series;
+      series.title = 'Show series';
+      series.addEventListener('click', (e) => {
+        e.stopPropagation();
+        setLibraryFilter('series', book.series);
+      });
+      info.appendChild(series);
+    }
+    
+    if (book.tags && book.tags.length > 0) {
+      const tags = document.createElement('div');
+      tags.className = 'book-tags';
+      book.tags.forEach(tag => {
+        const chip = document.createElement('span');
+        chip.className = 'book-tag';
+        chip.textContent = tag;
+        tags.appendChild(chip);
+      });
+      info.appendChild(tags);
+    }
+    
+    card.appendChild(info);
+    
+    // Actions
+    const actions = document.createElement('div');
+    actions.className = 'book-actions';
+    
+    if (book.missing) {
+      const locateBtn = document.createElement('button');
+      locateBtn.className = 'btn btn-small';
+      locateBtn.textContent = 'Locate…';
+      locateBtn.addEventListener('click', (e) => {
+        e.stopPropagation();
+        locateMissingBook(book.id);
+      });
+      actions.appendChild(locateBtn);
+    } else {
+      const openBtn = document.createElement('button');
+      openBtn.className = 'btn btn-small';
+      openBtn.textContent = 'Open';
+      openBtn.addEventListener('click', () => openBookFromLibrary(book.path));
+      actions.appendChild(openBtn);
+    }
+    
+    const detailsBtn = document.createElement('button');
+    detailsBtn.className = 'btn btn-small';
+    detailsBtn.textContent = 'Details';
+    detailsBtn.addEventListener('click', (e) => {
+      e.stopPropagation();
+      showBookDetails(book.id);
+    });
+    actions.appendChild(detailsBtn);
+    
+    const editBtn = document.createElement('button');
+    editBtn.className = 'btn btn-small';
+    editBtn.textContent = 'Edit';
+    editBtn.addEventListener('click', (e) => {
+      e.stopPropagation();
+      openEditBookDialog(book.id);
+    });
+    actions.appendChild(editBtn);
+    
+    const removeBtn = document.createElement('button');
+    removeBtn.className = 'btn btn-small btn-danger';
+    removeBtn.textContent = 'Remove';
+    removeBtn.addEventListener('click', (e) => {
+      e.stopPropagation();
+      removeBookFromLibrary(book.id);
+    });
+    actions.appendChild(removeBtn);
+    
+    card.appendChild(actions);
+    
+    // Add progress bar if showing progress and book has been opened
+    if (showProgress && book.progress > 0) {
+      const progressBar = document.createElement('div');
+      progressBar.className = 'book-progress';
+      
+      const progressFill = document.createElement('div');
+      progressFill.className = 'book-progress-fill';
+      progressFill.style.width = `${book.progress}%`;
+      progressBar.appendChild(progressFill);
+      
+      const progressText = document.createElement('div');
+      progressText.className = 'book-progress-text';
+      progressText.textContent = `${book.progress}% complete`;
+      
+      card.appendChild(progressBar);
+      card.appendChild(progressText);
+    }
+    
+    // Click card to open (or to select it while selecting / with Ctrl held)
+    card.addEventListener('click', (e) => {
+      if (e.target.classList.contains('btn')) return;
+      
+      if (librarySelectMode || e.ctrlKey || e.metaKey) {
+        toggleBookSelection(book.id);
+      } else {
+        openBookFromLibrary(book.path);
+      }
+    });
+    
+    return card;
+}
+
+/**
+ * Toggle library view between grid and list
+ */
+function toggleLibraryView() {
+  libraryViewMode = libraryViewMode === 'grid' ? 'list' : 'grid';
+  const icon = document.getElementById('viewIcon');
+  icon.textContent = libraryViewMode === 'grid' ? '☰' : '⊞';
+  renderLibrary();
+}
+
+/**
+ * Show library view
+ */
+function showLibrary() {
+  document.getElementById('libraryView').classList.remove('hidden');
+  document.getElementById('progressScrubber').classList.add('hidden');
+  document.getElementById('bookmarkRibbon').classList.add('hidden');
+  hideUndoJump();
+  document.getElementById('welcomeScreen').classList.add('hidden');
+  document.getElementById('viewer').classList.add('hidden');
+  document.getElementById('backToLibraryBtn').classList.add('hidden');
+  document.getElementById('bookTitle').textContent = 'My Library';
+  
+  // Highlights may have changed in the book just closed
+  if (isNotebookVisible()) {
+    loadNotebook();
+  }
+  
+  // Apply sepia theme to dashboard
+  document.body.classList.remove('theme-white', 'theme-sepia', 'theme-kindle', 'theme-blue', 'theme-gray', 'theme-dark');
+  document.body.classList.add('theme-sepia');
+}
+
+/**
+ * Hide library view and show reader
+ */
+function hideLibrary() {
+  document.getElementById('libraryView').classList.add('hidden');
+  document.getElementById('backToLibraryBtn').classList.remove('hidden');
+  
+  // Apply user's selected theme when opening a book
+  applyThemeToUI(settingsManager.get('theme'));
+}
+
+/**
+ * Back to library from reader
+ */
+function backToLibrary() {
+  readingTracker.endSession();
+  
+  // Clean up current book
+  if (rendition) {
+    rendition.destroy();
+    rendition = null;
+    book = null;
+  }
+  
+  // Clear search, highlights and bookmarks
+  clearSearch();
+  highlights = [];
+  bookmarks = [];
+  
+  // Show library
+  showLibrary();
+  renderLibrary();
+}
+
+// ============================================
+// Book Details & Metadata
+// ============================================
+let pendingCoverData = null; // Cover chosen in the edit dialog, saved with the book
+
+/**
+ * Descriptive metadata fields of a library entry, with empty defaults
+ * @param {Object} details - Metadata read from the book file
+ */
+function pickBookDetails(details = {}) {
+  return {
+    publisher: details.publisher || null,
+    language: details.language || null,
+    description: details.description || null,
+    publishedDate: details.publishedDate || null,
+    isbn: details.isbn || null,
+    subjects: details.subjects || [],
+    series: details.series || null,
+    seriesIndex: details.seriesIndex ?? null
+  };
+}
+
+/**
+ * Read the full metadata of EPUBs added before it was stored in the library
+ * Only empty fields are filled in; runs once per book in the background.
+ */
+async function backfillBookDetails() {
+  const books = library.filter(b => !b.detailsExtracted && !b.missing && b.fileType !== 'pdf');
+  if (books.length === 0) return;
+  
+  for (const book of books) {
+    try {
+      const details = await window.electronAPI.readBookMetadata(book.path);
+      if (details) {
+        Object.entries(pickBookDetails(details)).forEach(([key, value]) => {
+          const empty = book[key] === undefined || book[key] === null ||
+            (Array.isArray(book[key]) && book[key].length === 0);
+          if (empty) book[key] = value;
+        });
+      }
+      book.detailsExtracted = true;
+    } catch (error) {
+      console.warn('Could not read metadata for', book.path, error);
+    }
+  }
+  
+  console.log(`Read full metadata for ${books.length} books`);
+  await saveLibrary();
+  renderLibrary();
+}
+
+/**
+ * Split a comma-separated list, dropping blanks and duplicates
+ */
+function parseCommaList(text) {
+  return [...new Set(text.split(',').map(part => part.trim()).filter(Boolean))];
+}
+
+/**
+ * URL of a book's cover image
+ * The version changes when the cover is replaced, so the old image isn't cached.
+ */
+function getCoverUrl(book) {
+  const url = `file:///${book.coverPath.replace(/\\/g, '/')}`;
+  return book.coverVersion ? `${url}?v=${book.coverVersion}` : url;
+}
+
+/**
+ * Let the user pick a new cover image for the book being edited
+ * The image is converted to a JPEG of reasonable size, like extracted covers.
+ */
+async function chooseCoverImage() {
+  const imagePath = await window.electronAPI.selectImageDialog('Choose Cover Image');
+  if (!imagePath) return;
+  
+  try {
+    const data = await window.electronAPI.readEpubFile(imagePath);
+    const objectUrl = URL.createObjectURL(new Blob([data]));
+    
+    const image = await new Promise((resolve, reject) => {
+      const img = new Image();
+      img.onload = () => resolve(img);
+      img.onerror = () => reject(new Error('The file is not a supported image'));
+      img.src = objectUrl;
+    });
+    URL.revokeObjectURL(objectUrl);
+    
+    const MAX_COVER_HEIGHT = 1000;
+    const scale = Math.min(1, MAX_COVER_HEIGHT / image.naturalHeight);
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.round(image.naturalWidth * scale);
+    canvas.height = Math.round(image.naturalHeight * scale);
+    canvas.getContext('2d').drawImage(image, 0, 0, canvas.width, canvas.height);
+    
+    pendingCoverData = canvas.toDataURL('image/jpeg', 0.9);
+    showEditCoverPreview(pendingCoverData);
+  } catch (error) {
+    console.error('Error loading cover image:', error);
+    alert('Could not use this image as a cover: ' + error.message);
+  }
+}
+
+function showEditCoverPreview(src) {
+  const preview = document.getElementById('editBookCoverPreview');
+  preview.innerHTML = '';
+  if (src) {
+    const img = document.createElement('img');
+    img.src = src;
+    img.alt = 'Cover';
+    preview.appendChild(img);
+  } else {
+    preview.innerHTML = '<div class="book-cover-placeholder">📖</div>';
+  }
+}
+
+/**
+ * Show the details page of a library book
+ */
+function showBookDetails(bookId) {
+  const book = library.find(b => b.id === bookId);
+  if (!book) return;
+  
+  const dialog = document.getElementById('bookDetailsDialog');
+  dialog.dataset.bookId = bookId;
+  
+  const cover = document.getElementById('bookDetailsCover');
+  cover.innerHTML = '';
+  if (book.coverPath) {
+    const img = document.createElement('img');
+    img.src = getCoverUrl(book);
+    img.alt = book.title;
+    cover.appendChild(img);
+  } else {
+    cover.innerHTML = '<div class="book-cover-placeholder">📖</div>';
+  }
+  
+  document.getElementById('bookDetailsTitle').textContent = book.title;
+  document.getElementById('bookDetailsAuthor').textContent = book.author;
+  document.getElementById('bookDetailsSeries').textContent = book.series
+    ? `${Number.isFinite(book.seriesIndex) ? `Book ${book.seriesIndex} of ` : ''}${book.series}`
+    : '';
+  document.getElementById('bookDetailsDescription').textContent = book.description || '';
+  
+  const shelves = collections.filter(c => (book.collections || []).includes(c.id)).map(c => c.name);
+  const rows = [
+    ['Publisher', book.publisher],
+    ['Published', book.publishedDate],
+    ['Language', book.language],
+    ['ISBN', book.isbn],
+    ['Subjects', (book.subjects || []).join(', ')],
+    ['Tags', (book.tags || []).join(', ')],
+    ['Shelves', shelves.join(', ')],
+    ['Format', (book.fileType || 'epub').toUpperCase()],
+    ['Progress', `${book.progress || 0}%`],
+    ['Times read', formatReadCount(book)],
+    ['Added', book.addedDate ? new Date(book.addedDate).toLocaleDateString() : null],
+    ['Last opened', book.lastOpened ? new Date(book.lastOpened).toLocaleString() : 'Never'],
+    ['File', book.path]
+  ];
+  
+  const list = document.getElementById('bookDetailsFields');
+  list.innerHTML = '';
+  rows.filter(([, value]) => value).forEach(([label, value]) => {
+    const term = document.createElement('dt');
+    term.textContent = label;
+    const definition = document.createElement('dd');
+    definition.textContent = value;
+    definition.title = value;
+    list.appendChild(term);
+    list.appendChild(definition);
+  });
+  
+  document.getElementById('bookDetailsStatus').value = getReadingStatus(book);
+  renderReadingHistory(book);
+  
+  dialog.classList.remove('hidden');
+}
+
+function closeBookDetails() {
+  document.getElementById('bookDetailsDialog').classList.add('hidden');
+}
+
+/**
+ * Wire up the book details and edit dialogs
+ */
+function setupBookDetailsDialog() {
+  const dialog = document.getElementById('bookDetailsDialog');
+  document.getElementById('closeBookDetailsBtn').addEventListener('click', closeBookDetails);
+  document.getElementById('bookDetailsOpenBtn').addEventListener('click', () => {
+    const book = library.find(b => b.id === dialog.dataset.bookId);
+    closeBookDetails();
+    if (book) openBookFromLibrary(book.path);
+  });
+  document.getElementById('bookDetailsEditBtn').addEventListener('click', () => {
+    closeBookDetails();
+    openEditBookDialog(dialog.dataset.bookId);
+  });
+  
+  const statusSelect = document.getElementById('bookDetailsStatus');
+  Object.entries(READING_STATUSES).forEach(([value, label]) => {
+    statusSelect.add(new Option(label, value));
+  });
+  statusSelect.addEventListener('change', async () => {
+    const book = library.find(b => b.id === dialog.dataset.bookId);
+    if (!book) return;
+    
+    setReadingStatus(book, statusSelect.value);
+    await saveLibrary();
+    renderLibrary();
+    showBookDetails(book.id);
+  });
+  document.getElementById('editBookCoverBtn').addEventListener('click', chooseCoverImage);
+}
+
+// ============================================
+// Reading Status & History
+// ============================================
+const READING_STATUSES = {
+  unread: 'Unread',
+  'want-to-read': 'Want to Read',
+  reading: 'Reading',
+  finished: 'Finished',
+  abandoned: 'Abandoned'
+};
+const FINISHED_PROGRESS = 98; // The last page of a book starts just short of 100%
+
+/**
+ * A book's reading status
+ * @returns {string} One of the READING_STATUSES keys
+ */
+function getReadingStatus(book) {
+  return book.status || 'unread';
+}
+
+/**
+ * Give books from before explicit statuses one, based on their progress
+ * Their history starts empty - the dates of earlier reads aren't known.
+ * @returns {boolean} Whether any book changed
+ */
+function migrateReadingStatus() {
+  let changed = false;
+  library.forEach(book => {
+    if (book.status) return;
+    
+    if ((book.progress || 0) >= FINISHED_PROGRESS) {
+      book.status = 'finished';
+    } else if (book.progress > 0 || book.lastOpened) {
+      book.status = 'reading';
+    } else {
+      book.status = 'unread';
+    }
+    book.readingHistory = book.readingHistory || [];
+    changed = true;
+  });
+  return changed;
+}
+
+/**
+ * The read in progress, if any
+ * @returns {Object|null} History entry { started, finished, abandoned }
+ */
+function getCurrentRead(book) {
+  const history = book.readingHistory || [];
+  const last = history[history.length - 1];
+  return last && !last.finished && !last.abandoned ? last : null;
+}
+
+/**
+ * Change a book's reading status, recording it in the reading history
+ * Starting a finished book again begins a re-read from the start (or from
+ * the saved position with keepPosition); picking up an abandoned book
+ * continues the abandoned read.
+ * @param {Object} [options] - { keepPosition }
+ * @returns {boolean} Whether the status changed
+ */
+function setReadingStatus(book, status, options = {}) {
+  const previous = getReadingStatus(book);
+  if (status === previous) return false;
+  
+  const now = new Date().toISOString();
+  if (!book.readingHistory) book.readingHistory = [];
+  const history = book.readingHistory;
+  const current = getCurrentRead(book);
+  const last = history[history.length - 1];
+  
+  if (status === 'reading') {
+    if (previous === 'abandoned' && last && last.abandoned) {
+      last.abandoned = null;
+    } else if (!current) {
+      if (previous === 'finished' && !options.keepPosition) {
+        book.progress = 0;
+        book.lastPosition = null;
+        book.pdfView = null;
+      }
+      history.push({ started: now, finished: null, abandoned: null });
+    }
+  } else if (status === 'finished' || status === 'abandoned') {
+    // Books marked finished without being opened here have an unknown start
+    const read = current || { started: null, finished: null, abandoned: null };
+    if (!current) history.push(read);
+    read[status] = now;
+  } else if (current) {
+    // Back to unread / want to read: the read never really happened
+    history.pop();
+  }
+  
+  book.status = status;
+  console.log(`"${book.title}": ${previous} -> ${status}`);
+  return true;
+}
+
+/**
+ * How many times a book has been finished, e.g. '3 times (2 re-reads)'
+ * @returns {string|null} null if it was never finished
+ */
+function formatReadCount(book) {
+  const count = (book.readingHistory || []).filter(read => read.finished).length;
+  if (count === 0) return null;
+  if (count === 1) return 'Once';
+  return `${count} times (${count - 1} re-read${count > 2 ? 's' : ''})`;
+}
+
+/**
+ * List a book's reads, newest first, in the details dialog
+ */
+function renderReadingHistory(book) {
+  const list = document.getElementById('bookDetailsHistoryList');
+  list.innerHTML = '';
+  
+  const history = book.readingHistory || [];
+  document.getElementById('bookDetailsHistory').classList.toggle('hidden', history.length === 0);
+  
+  const formatDate = (date) => date ? new Date(date).toLocaleDateString() : 'unknown date';
+  history.slice().reverse().forEach((read, index) => {
+    const number = history.length - index;
+    let text = `${number === 1 ? 'First read' : `Re-read ${number - 1}`}: started ${formatDate(read.started)}`;
+    if (read.finished) {
+      text += `, finished ${formatDate(read.finished)}`;
+    } else if (read.abandoned) {
+      text += `, abandoned ${formatDate(read.abandoned)}`;
+    } else {
+      text += ' - in progress';
+    }
+    
+    const item = document.createElement('li');
+    item.textContent = text;
+    list.appendChild(item);
+  });
+}
+
+// ============================================
+// Library Search, Sort & Filter
+// ============================================
+let librarySearchQuery = ''; // Current search text (not remembered between sessions)
+
+/**
+ * Whether the search box or toolbar filters narrow down the library
+ */
+function isLibraryFiltered() {
+  return librarySearchQuery.trim() !== '' ||
+    settingsManager.get('libraryTypeFilter') !== 'all' ||
+    settingsManager.get('libraryStatusFilter') !== 'all';
+}
+
+/**
+ * Check a book against the search text
+ * Every word must appear in the title, author or a tag.
+ */
+function bookMatchesSearch(book, query) {
+  const words = query.toLowerCase().split(/\s+/).filter(Boolean);
+  if (words.length === 0) return true;
+  
+  const haystack = [book.title, book.author, ...(book.tags || [])].join(' ').toLowerCase();
+  return words.every(word => haystack.includes(word));
+}
+
+/**
+ * Sort books by the chosen library order
+ * @param {Array} books - Books to sort (not modified)
+ * @param {string} sortBy - 'added', 'opened', 'title', 'author' or 'progress'
+ */
+function sortBooks(books, sortBy) {
+  const byText = (a, b) => (a || '').localeCompare(b || '', undefined, { sensitivity: 'base', numeric: true });
+  const byDate = (a, b) => new Date(b || 0) - new Date(a || 0); // Newest first
+  
+  const comparators = {
+    added: (a, b) => byDate(a.addedDate, b.addedDate),
+    opened: (a, b) => byDate(a.lastOpened, b.lastOpened),
+    title: (a, b) => byText(a.title, b.title),
+    author: (a, b) => byText(a.author, b.author) || byText(a.title, b.title),
+    progress: (a, b) => (b.progress || 0) - (a.progress || 0)
+  };
+  
+  return [...books].sort(comparators[sortBy] || comparators.added);
+}
+
+/**
+ * Sync the toolbar controls with settings and the current shelves
+ */
+function updateLibraryToolbar() {
+  document.getElementById('librarySortSelect').value = settingsManager.get('librarySort');
+  document.getElementById('libraryTypeFilter').value = settingsManager.get('libraryTypeFilter');
+  document.getElementById('libraryStatusFilter').value = settingsManager.get('libraryStatusFilter');
+  
+  const shelfSelect = document.getElementById('libraryShelfFilter');
+  shelfSelect.innerHTML = '<option value="">All shelves</option>';
+  collections.forEach(collection => {
+    const option = document.createElement('option');
+    option.value = collection.id;
+    option.textContent = collection.name;
+    shelfSelect.appendChild(option);
+  });
+  shelfSelect.value = libraryFilter.type === 'collection' ? libraryFilter.value : '';
+}
+
+/**
+ * Wire up the library search box, sort order and filters
+ */
+function setupLibraryToolbar() {
+  let searchTimeout = null;
+  document.getElementById('librarySearchInput').addEventListener('input', (e) => {
+    clearTimeout(searchTimeout);
+    searchTimeout = setTimeout(() => {
+      librarySearchQuery = e.target.value;
+      renderLibrary();
+    }, 150);
+  });
+  
+  const bindSetting = (elementId, settingKey) => {
+    document.getElementById(elementId).addEventListener('change', (e) => {
+      settingsManager.set(settingKey, e.target.value);
+      settingsManager.save();
+      renderLibrary();
+    });
+  };
+  bindSetting('librarySortSelect', 'librarySort');
+  bindSetting('libraryTypeFilter', 'libraryTypeFilter');
+  bindSetting('libraryStatusFilter', 'libraryStatusFilter');
+  
+  document.getElementById('libraryShelfFilter').addEventListener('change', (e) => {
+    if (e.target.value) {
+      setLibraryFilter('collection', e.target.value);
+    } else {
+      setLibraryFilter('all');
+    }
+  });
+}
+
+// ============================================
+// Series
+// ============================================
+let seriesPromptedBookIds = new Set(); // Books already offered "Continue series" this session
+
+function getSeriesKey(name) {
+  return name.trim().toLowerCase();
+}
+
+/**
+ * Sort volumes by their number in the series (unnumbered volumes last)
+ */
+function sortSeriesVolumes(books) {
+  return [...books].sort((a, b) => {
+    const indexA = a.seriesIndex ?? Infinity;
+    const indexB = b.seriesIndex ?? Infinity;
+    return indexA - indexB || (a.title || '').localeCompare(b.title || '');
+  });
+}
+
+/**
+ * Group the library's books by series
+ * @returns {Array<{ name: string, volumes: Array }>} Series by name, volumes in order
+ */
+function getSeriesList() {
+  const groups = new Map();
+  library.filter(b => b.series).forEach(book => {
+    const key = getSeriesKey(book.series);
+    if (!groups.has(key)) {
+      groups.set(key, { name: book.series, volumes: [] });
+    }
+    groups.get(key).volumes.push(book);
+  });
+  
+  return Array.from(groups.values())
+    .map(series => ({ ...series, volumes: sortSeriesVolumes(series.volumes) }))
+    .sort((a, b) => a.name.localeCompare(b.name));
+}
+
+/**
+ * Find a series by name (case-insensitive)
+ */
+function findSeries(name) {
+  return getSeriesList().find(s => getSeriesKey(s.name) === getSeriesKey(name)) || null;
+}
+
+/**
+ * The volume to read next in a series
+ * The most recently read unfinished volume, otherwise the first unread one.
+ * @returns {Object|null} Library entry, or null when every volume is finished
+ */
+function getSeriesContinuation(series) {
+  const available = series.volumes.filter(b => !b.missing);
+  const inProgress = available
+    .filter(b => getReadingStatus(b) === 'reading')
+    .sort((a, b) => new Date(b.lastOpened || 0) - new Date(a.lastOpened || 0));
+  if (inProgress.length > 0) return inProgress[0];
+  
+  return available.find(b => ['unread', 'want-to-read'].includes(getReadingStatus(b))) || null;
+}
+
+/**
+ * The first unfinished volume after a book in its series
+ * @returns {Object|null}
+ */
+function getNextInSeries(book) {
+  if (!book.series) return null;
+  const series = findSeries(book.series);
+  if (!series) return null;
+  
+  const position = series.volumes.indexOf(book);
+  return series.volumes
+    .slice(position + 1)
+    .find(b => !b.missing && getReadingStatus(b) !== 'finished') || null;
+}
+
+/**
+ * Overall progress of a series
+ * @returns {{ finished: number, total: number, percentage: number }}
+ */
+function getSeriesProgress(series) {
+  const total = series.volumes.length;
+  const finished = series.volumes.filter(b => getReadingStatus(b) === 'finished').length;
+  const progressSum = series.volumes.reduce((sum, b) => sum + Math.min(b.progress || 0, 100), 0);
+  return { finished, total, percentage: Math.round(progressSum / total) };
+}
+
+/**
+ * Render every series as a stack of its volumes
+ */
+function renderSeriesOverview(grid) {
+  const query = librarySearchQuery.trim().toLowerCase();
+  const seriesList = getSeriesList().filter(series => !query ||
+    series.name.toLowerCase().includes(query) ||
+    series.volumes.some(b => bookMatchesSearch(b, query)));
+  
+  const section = document.createElement('div');
+  section.className = 'library-section';
+  
+  const header = document.createElement('h2');
+  header.className = 'section-header';
+  header.textContent = 'Series';
+  const count = document.createElement('span');
+  count.className = 'section-count';
+  count.textContent = `${seriesList.length} series`;
+  header.appendChild(count);
+  section.appendChild(header);
+  
+  if (seriesList.length === 0) {
+    const hint = document.createElement('p');
+    hint.className = 'library-filter-empty';
+    hint.textContent = query
+      ? 'No series match your search.'
+      : 'No series yet. Series are read from the book files, or can be set with Edit.';
+    section.appendChild(hint);
+  } else {
+    const seriesGrid = document.createElement('div');
+    seriesGrid.className = 'library-grid';
+    seriesList.forEach(series => seriesGrid.appendChild(createSeriesCard(series)));
+    section.appendChild(seriesGrid);
+  }
+  
+  grid.appendChild(section);
+}
+
+/**
+ * Create a card for a whole series
+ */
+function createSeriesCard(series) {
+  const card = document.createElement('div');
+  card.className = 'book-card series-card';
+  
+  const next = getSeriesContinuation(series);
+  const coverBook = series.volumes.find(b => b.coverPath) || series.volumes[0];
+  
+  const cover = document.createElement('div');
+  cover.className = 'book-cover series-stack';
+  if (coverBook.coverPath) {
+    const img = document.createElement('img');
+    img.src = getCoverUrl(coverBook);
+    img.alt = series.name;
+    img.onerror = () => {
+      cover.innerHTML = '<div class="book-cover-placeholder">📚</div>';
+    };
+    cover.appendChild(img);
+  } else {
+    cover.innerHTML = '<div class="book-cover-placeholder">📚</div>';
+  }
+  
+  const volumeBadge = document.createElement('div');
+  volumeBadge.className = 'file-type-badge';
+  volumeBadge.textContent = `${series.volumes.length} book${series.volumes.length === 1 ? '' : 's'}`;
+  cover.appendChild(volumeBadge);
+  card.appendChild(cover);
+  
+  const info = document.createElement('div');
+  info.className = 'book-info';
+  
+  const title = document.createElement('div');
+  title.className = 'book-title';
+  title.textContent = series.name;
+  title.title = series.name;
+  info.appendChild(title);
+  
+  const authors = [...new Set(series.volumes.map(b => b.author).filter(Boolean))];
+  const author = document.createElement('div');
+  author.className = 'book-author';
+  author.textContent = authors.join(', ');
+  info.appendChild(author);
+  card.appendChild(info);
+  
+  const actions = document.createElement('div');
+  actions.className = 'book-actions';
+  if (next) {
+    const continueBtn = document.createElement('button');
+    continueBtn.className = 'btn btn-small';
+    continueBtn.textContent = getReadingStatus(next) === 'reading' || series.volumes.some(b => b.lastOpened)
+      ? 'Continue Series'
+      : 'Start Series';
+    continueBtn.title = `Open ${next.title}`;
+    continueBtn.addEventListener('click', (e) => {
+      e.stopPropagation();
+      openBookFromLibrary(next.path);
+    });
+    actions.appendChild(continueBtn);
+  }
+  card.appendChild(actions);
+  
+  // Series progress
+  const progress = getSeriesProgress(series);
+  const progressBar = document.createElement('div');
+  progressBar.className = 'book-progress';
+  const progressFill = document.createElement('div');
+  progressFill.className = 'book-progress-fill';
+  progressFill.style.width = `${progress.percentage}%`;
+  progressBar.appendChild(progressFill);
+  
+  const progressText = document.createElement('div');
+  progressText.className = 'book-progress-text series-progress-text';
+  progressText.textContent = `${progress.finished} of ${progress.total} read`;
+  
+  card.appendChild(progressBar);
+  card.appendChild(progressText);
+  
+  card.addEventListener('click', (e) => {
+    if (!e.target.classList.contains('btn')) {
+      setLibraryFilter('series', series.name);
+    }
+  });
+  
+  return card;
+}
+
+/**
+ * Offer the next volume once the current book in a series is finished
+ * Shown once per book per session.
+ */
+function checkSeriesContinuation(book) {
+  if (!book || !book.series || seriesPromptedBookIds.has(book.id)) return;
+  if (getReadingStatus(book) !== 'finished') return;
+  
+  seriesPromptedBookIds.add(book.id);
+  const next = getNextInSeries(book);
+  if (!next) return;
+  
+  const label = Number.isFinite(next.seriesIndex) ? `Book ${next.seriesIndex}: ${next.title}` : next.title;
+  document.getElementById('seriesToastText').textContent =
+    `You finished ${book.title}. Next in ${book.series}: ${label}`;
+  
+  const toast = document.getElementById('seriesToast');
+  toast.dataset.bookPath = next.path;
+  toast.classList.remove('hidden');
+}
+
+function hideSeriesToast() {
+  document.getElementById('seriesToast').classList.add('hidden');
+}
+
+/**
+ * Wire up the "Continue series" notice
+ */
+function setupSeriesToast() {
+  document.getElementById('seriesToastOpenBtn').addEventListener('click', () => {
+    const toast = document.getElementById('seriesToast');
+    hideSeriesToast();
+    openBookFromLibrary(toast.dataset.bookPath);
+  });
+  document.getElementById('seriesToastCloseBtn').addEventListener('click', hideSeriesToast);
+}
+
+// ============================================
+// Collections & Tags
+// ============================================
+const BOOK_DRAG_TYPE = 'application/x-lapbook-books'; // Book ids dragged from library cards
+
+/**
+ * Books shown for the current sidebar selection, search and toolbar filters, in sort order
+ */
+function getFilteredBooks() {
+  let books = library;
+  
+  if (libraryFilter.type === 'collection') {
+    books = books.filter(b => (b.collections || []).includes(libraryFilter.value));
+  } else if (libraryFilter.type === 'tag') {
+    books = books.filter(b => (b.tags || []).includes(libraryFilter.value));
+  } else if (libraryFilter.type === 'series' && libraryFilter.value) {
+    const key = getSeriesKey(libraryFilter.value);
+    books = books.filter(b => b.series && getSeriesKey(b.series) === key);
+  }
+  
+  const fileType = settingsManager.get('libraryTypeFilter');
+  if (fileType !== 'all') {
+    books = books.filter(b => (b.fileType || 'epub') === fileType);
+  }
+  
+  const status = settingsManager.get('libraryStatusFilter');
+  if (status !== 'all') {
+    books = books.filter(b => getReadingStatus(b) === status);
+  }
+  
+  books = books.filter(b => bookMatchesSearch(b, librarySearchQuery));
+  
+  // A series is always shown in reading order
+  if (libraryFilter.type === 'series') {
+    return sortSeriesVolumes(books);
+  }
+  return sortBooks(books, settingsManager.get('librarySort'));
+}
+
+/**
+ * Show all books, a shelf or a tag
+ * @param {string} type - 'all', 'collection' or 'tag'
+ * @param {string|null} value - Collection id or tag name
+ */
+function setLibraryFilter(type, value = null) {
+  libraryFilter = { type, value };
+  settingsManager.set('libraryShelf', libraryFilter);
+  settingsManager.save();
+  renderLibrary();
+}
+
+/**
+ * All tags used in the library with the number of books for each, by name
+ * @returns {Array<{ tag: string, count: number }>}
+ */
+function getAllTags() {
+  const counts = new Map();
+  library.forEach(book => {
+    (book.tags || []).forEach(tag => counts.set(tag, (counts.get(tag) || 0) + 1));
+  });
+  return Array.from(counts, ([tag, count]) => ({ tag, count }))
+    .sort((a, b) => a.tag.localeCompare(b.tag));
+}
+
+/**
+ * Tidy a tag typed by the user
+ * Tags are case-insensitive, so an existing spelling is reused.
+ * @returns {string|null} Tag, or null if empty
+ */
+function normalizeTag(tag) {
+  const cleaned = tag.trim().replace(/\s+/g, ' ');
+  if (!cleaned) return null;
+  
+  const existing = getAllTags().find(t => t.tag.toLowerCase() === cleaned.toLowerCase());
+  return existing ? existing.tag : cleaned;
+}
+
+/**
+ * Parse a comma-separated list of tags
+ */
+function parseTagList(text) {
+  const tags = [];
+  text.split(',').forEach(part => {
+    const tag = normalizeTag(part);
+    if (tag && !tags.includes(tag)) tags.push(tag);
+  });
+  return tags;
+}
+
+/**
+ * Create a new, empty shelf
+ * @returns {Promise<Object|null>} The new collection, or null if the name was invalid
+ */
+async function createCollection(name) {
+  name = name.trim();
+  if (!name) return null;
+  
+  if (collections.some(c => c.name.toLowerCase() === name.toLowerCase())) {
+    alert(`A shelf named "${name}" already exists.`);
+    return null;
+  }
+  
+  const collection = {
+    id: `shelf-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`,
+    name: name,
+    createdDate: new Date().toISOString()
+  };
+  collections.push(collection);
+  
+  await saveLibrary();
+  renderLibrary();
+  return collection;
+}
+
+async function renameCollection(collectionId, name) {
+  const collection = collections.find(c => c.id === collectionId);
+  name = name.trim();
+  if (!collection || !name || name === collection.name) return;
+  
+  if (collections.some(c => c.id !== collectionId && c.name.toLowerCase() === name.toLowerCase())) {
+    alert(`A shelf named "${name}" already exists.`);
+    return;
+  }
+  
+  collection.name = name;
+  await saveLibrary();
+  renderLibrary();
+}
+
+/**
+ * Delete a shelf (its books stay in the library)
+ */
+async function deleteCollection(collectionId) {
+  const collection = collections.find(c => c.id === collectionId);
+  if (!collection) return;
+  if (!confirm(`Delete the shelf "${collection.name}"?\n\nThe books on it stay in your library.`)) return;
+  
+  collections = collections.filter(c => c.id !== collectionId);
+  library.forEach(book => {
+    if (book.collections) {
+      book.collections = book.collections.filter(id => id !== collectionId);
+    }
+  });
+  
+  await saveLibrary();
+  renderLibrary();
+}
+
+async function addBooksToCollection(bookIds, collectionId) {
+  library.filter(b => bookIds.includes(b.id)).forEach(book => {
+    book.collections = book.collections || [];
+    if (!book.collections.includes(collectionId)) {
+      book.collections.push(collectionId);
+    }
+  });
+  await saveLibrary();
+  renderLibrary();
+}
+
+async function removeBooksFromCollection(bookIds, collectionId) {
+  library.filter(b => bookIds.includes(b.id)).forEach(book => {
+    book.collections = (book.collections || []).filter(id => id !== collectionId);
+  });
+  await saveLibrary();
+  renderLibrary();
+}
+
+async function addTagToBooks(bookIds, tagText) {
+  const tag = normalizeTag(tagText);
+  if (!tag) return;
+  
+  library.filter(b => bookIds.includes(b.id)).forEach(book => {
+    book.tags = book.tags || [];
+    if (!book.tags.includes(tag)) {
+      book.tags.push(tag);
+    }
+  });
+  await saveLibrary();
+  renderLibrary();
+}
+
+async function removeTagFromBooks(bookIds, tagText) {
+  const tag = normalizeTag(tagText);
+  if (!tag) return;
+  
+  library.filter(b => bookIds.includes(b.id)).forEach(book => {
+    book.tags = (book.tags || []).filter(t => t !== tag);
+  });
+  
+  await saveLibrary();
+  renderLibrary();
+}
+
+/**
+ * Render the shelves and tags sidebar
+ */
+function renderLibrarySidebar() {
+  const sidebar = document.getElementById('librarySidebar');
+  sidebar.innerHTML = '';
+  
+  sidebar.appendChild(createSidebarItem({
+    icon: '📚',
+    label: 'All Books',
+    count: library.length,
+    active: libraryFilter.type === 'all',
+    onClick: () => setLibraryFilter('all')
+  }));
+  
+  const seriesCount = getSeriesList().length;
+  if (seriesCount > 0) {
+    sidebar.appendChild(createSidebarItem({
+      icon: '📖',
+      label: 'Series',
+      count: seriesCount,
+      active: libraryFilter.type === 'series',
+      onClick: () => setLibraryFilter('series')
+    }));
+  }
+  
+  // Shelves
+  const shelvesHeading = document.createElement('div');
+  shelvesHeading.className = 'sidebar-heading';
+  shelvesHeading.textContent = 'Shelves';
+  
+  const addShelfBtn = document.createElement('button');
+  addShelfBtn.className = 'sidebar-heading-btn';
+  addShelfBtn.textContent = '+';
+  addShelfBtn.title = 'New shelf';
+  addShelfBtn.addEventListener('click', () => {
+    shelvesHeading.after(createSidebarInput('', async (name) => {
+      const collection = await createCollection(name);
+      // Books selected before creating the shelf go straight onto it
+      if (collection && selectedBookIds.size > 0) {
+        await addBooksToCollection([...selectedBookIds], collection.id);
+      }
+    }));
+  });
+  shelvesHeading.appendChild(addShelfBtn);
+  sidebar.appendChild(shelvesHeading);
+  
+  if (collections.length === 0) {
+    const hint = document.createElement('div');
+    hint.className = 'sidebar-hint';
+    hint.textContent = 'Create a shelf, then drag books onto it';
+    sidebar.appendChild(hint);
+  }
+  
+  collections.forEach(collection => {
+    const item = createSidebarItem({
+      icon: '🗂',
+      label: collection.name,
+      count: library.filter(b => (b.collections || []).includes(collection.id)).length,
+      active: libraryFilter.type === 'collection' && libraryFilter.value === collection.id,
+      onClick: () => setLibraryFilter('collection', collection.id),
+      onDropBooks: (bookIds) => addBooksToCollection(bookIds, collection.id)
+    });
+    
+    const renameBtn = document.createElement('button');
+    renameBtn.className = 'sidebar-item-btn';
+    renameBtn.textContent = '✎';
+    renameBtn.title = 'Rename shelf';
+    renameBtn.addEventListener('click', (e) => {
+      e.stopPropagation();
+      item.replaceWith(createSidebarInput(collection.name, (name) => renameCollection(collection.id, name)));
+    });
+    
+    const deleteBtn = document.createElement('button');
+    deleteBtn.className = 'sidebar-item-btn';
+    deleteBtn.textContent = '✕';
+    deleteBtn.title = 'Delete shelf';
+    deleteBtn.addEventListener('click', (e) => {
+      e.stopPropagation();
+      deleteCollection(collection.id);
+    });
+    
+    item.appendChild(renameBtn);
+    item.appendChild(deleteBtn);
+    sidebar.appendChild(item);
+  });
+  
+  // Tags
+  const tags = getAllTags();
+  if (tags.length > 0) {
+    const tagsHeading = document.createElement('div');
+    tagsHeading.className = 'sidebar-heading';
+    tagsHeading.textContent = 'Tags';
+    sidebar.appendChild(tagsHeading);
+    
+    tags.forEach(({ tag, count }) => {
+      sidebar.appendChild(createSidebarItem({
+        icon: '#',
+        label: tag,
+        count: count,
+        active: libraryFilter.type === 'tag' && libraryFilter.value === tag,
+        onClick: () => setLibraryFilter('tag', tag),
+        onDropBooks: (bookIds) => addTagToBooks(bookIds, tag)
+      }));
+    });
+  }
+}
+
+/**
+ * Create a sidebar entry, optionally accepting dragged book cards
+ */
+function createSidebarItem({ icon, label, count, active, onClick, onDropBooks = null }) {
+  const item = document.createElement('div');
+  item.className = active ? 'sidebar-item active' : 'sidebar-item';
+  item.title = label;
+  
+  const iconSpan = document.createElement('span');
+  iconSpan.className = 'sidebar-item-icon';
+  iconSpan.textContent = icon;
+  
+  const labelSpan = document.createElement('span');
+  labelSpan.className = 'sidebar-item-label';
+  labelSpan.textContent = label;
+  
+  const countSpan = document.createElement('span');
+  countSpan.className = 'sidebar-item-count';
+  countSpan.textContent = count;
+  
+  item.appendChild(iconSpan);
+  item.appendChild(labelSpan);
+  item.appendChild(countSpan);
+  item.addEventListener('click', onClick);
+  
+  if (onDropBooks) {
+    item.addEventListener('dragover', (e) => {
+      if (!e.dataTransfer.types.includes(BOOK_DRAG_TYPE)) return;
+      e.preventDefault();
+      e.dataTransfer.dropEffect = 'copy';
+      item.classList.add('drop-target');
+    });
+    item.addEventListener('dragleave', () => item.classList.remove('drop-target'));
+    item.addEventListener('drop', (e) => {
+      item.classList.remove('drop-target');
+      const data = e.dataTransfer.getData(BOOK_DRAG_TYPE);
+      if (!data) return;
+      e.preventDefault();
+      onDropBooks(JSON.parse(data));
+    });
+  }
+  
+  return item;
+}
+
+/**
+ * Inline text box for naming a shelf (Enter saves, Escape cancels)
+ */
+function createSidebarInput(value, onSubmit) {
+  const input = document.createElement('input');
+  input.type = 'text';
+  input.className = 'sidebar-input';
+  input.value = value;
+  input.placeholder = 'Shelf name';
+  
+  let done = false;
+  const finish = (save) => {
+    if (done) return;
+    done = true;
+    if (save && input.value.trim()) {
+      onSubmit(input.value);
+    } else {
+      renderLibrarySidebar();
+    }
+  };
+  
+  input.addEventListener('keydown', (e) => {
+    if (e.key === 'Enter') finish(true);
+    if (e.key === 'Escape') finish(false);
+  });
+  input.addEventListener('blur', () => finish(true));
+  
+  setTimeout(() => {
+    input.focus();
+    input.select();
+  }, 0);
+  return input;
+}
+
+/**
+ * Start a drag of one book card, or of all selected books if it is selected
+ */
+function handleBookDragStart(e, book) {
+  const bookIds = selectedBookIds.has(book.id) ? [...selectedBookIds] : [book.id];
+  e.dataTransfer.setData(BOOK_DRAG_TYPE, JSON.stringify(bookIds));
+  e.dataTransfer.effectAllowed = 'copy';
+}
+
+// Multi-select
+
+function setLibrarySelectMode(enabled) {
+  librarySelectMode = enabled;
+  if (!enabled) {
+    selectedBookIds.clear();
+  }
+  renderLibrary();
+}
+
+function toggleBookSelection(bookId) {
+  if (selectedBookIds.has(bookId)) {
+    selectedBookIds.delete(bookId);
+  } else {
+    selectedBookIds.add(bookId);
+  }
+  librarySelectMode = true;
+  renderLibrary();
+}
+
+function selectAllVisibleBooks() {
+  getFilteredBooks().forEach(book => selectedBookIds.add(book.id));
+  renderLibrary();
+}
+
+/**
+ * Update the bulk actions bar for the current selection
+ */
+function updateSelectionBar() {
+  const bar = document.getElementById('librarySelectionBar');
+  document.getElementById('librarySelectBtn').classList.toggle('active', librarySelectMode);
+  bar.classList.toggle('hidden', !librarySelectMode);
+  if (!librarySelectMode) return;
+  
+  const count = selectedBookIds.size;
+  document.getElementById('selectionCount').textContent =
+    count === 0 ? 'Click books to select them' : `${count} book${count === 1 ? '' : 's'} selected`;
+  
+  // Shelf picker
+  const shelfSelect = document.getElementById('selectionShelfSelect');
+  shelfSelect.innerHTML = '<option value="">Add to shelf…</option>';
+  collections.forEach(collection => {
+    const option = document.createElement('option');
+    option.value = collection.id;
+    option.textContent = collection.name;
+    shelfSelect.appendChild(option);
+  });
+  
+  const viewingShelf = libraryFilter.type === 'collection';
+  document.getElementById('removeFromShelfBtn').classList.toggle('hidden', !viewingShelf);
+  
+  ['selectionShelfSelect', 'removeFromShelfBtn', 'selectionTagInput', 'selectionAddTagBtn', 'selectionRemoveTagBtn']
+    .forEach(id => { document.getElementById(id).disabled = count === 0; });
+}
+
+/**
+ * Wire up the library selection bar buttons
+ */
+function setupSelectionBar() {
+  document.getElementById('librarySelectBtn').addEventListener('click', () => setLibrarySelectMode(!librarySelectMode));
+  document.getElementById('selectAllBooksBtn').addEventListener('click', selectAllVisibleBooks);
+  document.getElementById('doneSelectingBtn').addEventListener('click', () => setLibrarySelectMode(false));
+  
+  document.getElementById('selectionShelfSelect').addEventListener('change', async (e) => {
+    const collectionId = e.target.value;
+    if (collectionId) {
+      await addBooksToCollection([...selectedBookIds], collectionId);
+    }
+  });
+  
+  document.getElementById('removeFromShelfBtn').addEventListener('click', () => {
+    removeBooksFromCollection([...selectedBookIds], libraryFilter.value);
+  });
+  
+  const tagInput = document.getElementById('selectionTagInput');
+  const applyTag = async (add) => {
+    if (!tagInput.value.trim()) return;
+    if (add) {
+      await addTagToBooks([...selectedBookIds], tagInput.value);
     } else {
-      // No recent books, just show all books without section header
-      const allBooksGrid = document.createElement('div');
-      allBooksGrid.className = libraryViewMode === 'grid' ? 'library-grid' : 'library-list';
-      allBooksGrid.style.marginTop = '20px';
-      
-      library.forEach(book => {
-        allBooksGrid.appendChild(createBookCard(book, false));
-      });
-      
-      grid.appendChild(allBooksGrid);
+      await removeTagFromBooks([...selectedBookIds], tagInput.value);
     }
+    tagInput.value = '';
+  };
+  document.getElementById('selectionAddTagBtn').addEventListener('click', () => applyTag(true));
+  document.getElementById('selectionRemoveTagBtn').addEventListener('click', () => applyTag(false));
+  tagInput.addEventListener('keydown', (e) => {
+    if (e.key === 'Enter') applyTag(true);
+  });
+}
+
+// ============================================
+// Drag and Drop
+// ============================================
+const BOOK_MIME_TYPES = ['application/epub+zip', 'application/pdf'];
+let dragDepth = 0; // dragenter/dragleave fire for every child element
+
+/**
+ * Accept books dropped anywhere on the window
+ * Without this Electron would navigate to a dropped file.
+ */
+function setupDragAndDrop() {
+  document.addEventListener('dragenter', handleDragEnter);
+  document.addEventListener('dragover', handleDragOver);
+  document.addEventListener('dragleave', handleDragLeave);
+  document.addEventListener('drop', handleDrop);
+}
+
+/**
+ * Keep files dropped on the EPUB iframe from replacing its page
+ * The overlay takes over once it is shown, as it covers the iframe.
+ */
+function setupIframeDragAndDrop(contents) {
+  contents.document.addEventListener('dragenter', (e) => {
+    // Not counted in dragDepth: the iframe never sees the matching dragleave
+    if (!isFileDrag(e)) return;
+    e.preventDefault();
+    updateDropOverlay(e.dataTransfer);
+  });
+  contents.document.addEventListener('dragover', handleDragOver);
+  contents.document.addEventListener('drop', (e) => e.preventDefault());
+}
+
+function isFileDrag(e) {
+  return e.dataTransfer && Array.from(e.dataTransfer.types).includes('Files');
+}
+
+/**
+ * Whether a drag might contain books
+ * Folders and some book files report no MIME type, so those are only
+ * checked once dropped.
+ */
+function dragHasSupportedItems(dataTransfer) {
+  return Array.from(dataTransfer.items)
+    .filter(item => item.kind === 'file')
+    .some(item => !item.type || BOOK_MIME_TYPES.includes(item.type));
+}
+
+function isLibraryVisible() {
+  return !document.getElementById('libraryView').classList.contains('hidden');
+}
+
+function handleDragEnter(e) {
+  if (!isFileDrag(e)) return;
+  e.preventDefault();
+  dragDepth++;
+  updateDropOverlay(e.dataTransfer);
+}
+
+/**
+ * Show the drop overlay with a message for where the files would go
+ */
+function updateDropOverlay(dataTransfer) {
+  const supported = dragHasSupportedItems(dataTransfer);
+  let message = 'Only EPUB and PDF files are supported';
+  if (supported) {
+    message = isLibraryVisible()
+      ? 'Drop books or folders to add them to your library'
+      : 'Drop a book to open it';
+  }
+  showDropOverlay(message, supported);
+}
+
+function handleDragOver(e) {
+  if (!isFileDrag(e)) return;
+  e.preventDefault();
+  e.dataTransfer.dropEffect = dragHasSupportedItems(e.dataTransfer) ? 'copy' : 'none';
+}
+
+function handleDragLeave(e) {
+  if (!isFileDrag(e)) return;
+  dragDepth = Math.max(0, dragDepth - 1);
+  if (dragDepth === 0) {
+    hideDropOverlay();
   }
 }
 
 /**
- * Create a book card element
- * @param {Object} book - Book object from library
- * @param {Boolean} showProgress - Whether to show reading progress
+ * Import dropped books into the library, or open a single book dropped on the reader
  */
-function createBookCard(book, showProgress) {
-  const card = document.createElement('div');
-    card.className = 'book-card';
+async function handleDrop(e) {
+  if (!isFileDrag(e)) return;
+  e.preventDefault();
+  dragDepth = 0;
+  hideDropOverlay();
+  
+  const droppedPaths = Array.from(e.dataTransfer.files).map(file => file.path).filter(Boolean);
+  if (droppedPaths.length === 0) return;
+  
+  try {
+    const { files, unsupported } = await window.electronAPI.expandDroppedPaths(droppedPaths);
     
-    // Cover image
-    const cover = document.createElement('div');
-    cover.className = 'book-cover';
-    if (book.coverPath) {
-      const img = document.createElement('img');
-      img.src = `file:///${book.coverPath.replace(/\\/g, '/')}`;
-      img.alt = book.title;
-      img.onerror = () => {
-        cover.innerHTML = '<div class="book-cover-placeholder">📖</div>';
-      };
-      cover.appendChild(img);
-    } else {
-      cover.innerHTML = '<div class="book-cover-placeholder">📖</div>';
+    if (files.length === 0) {
+      const names = unsupported.map(p => p.split(/[\\/]/).pop()).join(', ');
+      alert(unsupported.length > 0
+        ? `LapBook can only open EPUB and PDF files.\n\nNot supported: ${names}`
+        : 'No EPUB or PDF files found.');
+      return;
     }
-    
-    // Add file type badge
-    const typeBadge = document.createElement('div');
-    typeBadge.className = 'file-type-badge';
-    typeBadge.textContent = (book.fileType || 'epub').toUpperCase();
-    cover.appendChild(typeBadge);
-    
-    card.appendChild(cover);
-    
-    // Book info
-    const info = document.createElement('div');
-    info.className = 'book-info';
-    
-    const title = document.createElement('div');
-    title.className = 'book-title';
-    title.textContent = book.title;
-    title.title = book.title;
-    info.appendChild(title);
-    
-    const author = document.createElement('div');
-    author.className = 'book-author';
-    author.textContent = book.author;
-    author.title = book.author;
-    info.appendChild(author);
-    
-    card.appendChild(info);
-    
-    // Actions
-    const actions = document.createElement('div');
-    actions.className = 'book-actions';
-    
-    const openBtn = document.createElement('button');
-    openBtn.className = 'btn btn-small';
-    openBtn.textContent = 'Open';
-    openBtn.addEventListener('click', () => openBookFromLibrary(book.path));
-    actions.appendChild(openBtn);
-    
-    const editBtn = document.createElement('button');
-    editBtn.className = 'btn btn-small';
-    editBtn.textContent = 'Edit';
-    editBtn.addEventListener('click', (e) => {
-      e.stopPropagation();
-      openEditBookDialog(book.id);
-    });
-    actions.appendChild(editBtn);
-    
-    const removeBtn = document.createElement('button');
-    removeBtn.className = 'btn btn-small btn-danger';
-    removeBtn.textContent = 'Remove';
-    removeBtn.addEventListener('click', (e) => {
-      e.stopPropagation();
-      removeBookFromLibrary(book.id);
-    });
-    actions.appendChild(removeBtn);
-    
-    card.appendChild(actions);
-    
-    // Add progress bar if showing progress and book has been opened
-    if (showProgress && book.progress > 0) {
-      const progressBar = document.createElement('div');
-      progressBar.className = 'book-progress';
-      
-      const progressFill = document.createElement('div');
-      progressFill.className = 'book-progress-fill';
-      progressFill.style.width = `${book.progress}%`;
-      progressBar.appendChild(progressFill);
-      
-      const progressText = document.createElement('div');
-      progressText.className = 'book-progress-text';
-      progressText.textContent = `${book.progress}% complete`;
-      
-      card.appendChild(progressBar);
-      card.appendChild(progressText);
+    if (unsupported.length > 0) {
+      console.warn('Ignoring unsupported dropped files:', unsupported);
     }
     
-    // Click card to open
-    card.addEventListener('click', (e) => {
-      if (!e.target.classList.contains('btn')) {
-        openBookFromLibrary(book.path);
-      }
-    });
+    // A single book file (not a folder)
+    const singleFile = files.length === 1 && droppedPaths.includes(files[0]);
     
-    return card;
+    if (singleFile && !isLibraryVisible()) {
+      await loadBook(files[0]);
+    } else if (singleFile) {
+      await addBookToLibrary(files[0]);
+    } else {
+      queueBookImports(files, { report: true });
+    }
+  } catch (error) {
+    console.error('Error handling dropped files:', error);
+    alert('Failed to add dropped files: ' + error.message);
+  }
+}
+
+function showDropOverlay(message, supported) {
+  const overlay = document.getElementById('dropOverlay');
+  document.getElementById('dropOverlayText').textContent = message;
+  overlay.classList.toggle('drop-rejected', !supported);
+  overlay.classList.remove('hidden');
 }
 
+function hideDropOverlay() {
+  document.getElementById('dropOverlay').classList.add('hidden');
+}
+
+// ============================================
+// Library Folders
+// ============================================
+
 /**
- * Toggle library view between grid and list
+ * Start scanning and watching the library folders from settings
  */
-function toggleLibraryView() {
-  libraryViewMode = libraryViewMode === 'grid' ? 'list' : 'grid';
-  const icon = document.getElementById('viewIcon');
-  icon.textContent = libraryViewMode === 'grid' ? '☰' : '⊞';
-  renderLibrary();
+function startWatchingLibraryFolders() {
+  window.electronAPI.watchLibraryFolders(settingsManager.get('watchedFolders') || []);
 }
 
 /**
- * Show library view
+ * Show scan progress for a library folder
  */
-function showLibrary() {
-  document.getElementById('libraryView').classList.remove('hidden');
-  document.getElementById('welcomeScreen').classList.add('hidden');
-  document.getElementById('viewer').classList.add('hidden');
-  document.getElementById('backToLibraryBtn').classList.add('hidden');
-  document.getElementById('bookTitle').textContent = 'My Library';
+function handleLibraryScanProgress({ folder, found, done, error }) {
+  if (error) {
+    console.warn('Library folder unavailable:', folder, error);
+  }
   
-  // Apply sepia theme to dashboard
-  document.body.classList.remove('theme-white', 'theme-sepia', 'theme-kindle', 'theme-blue', 'theme-gray', 'theme-dark');
-  document.body.classList.add('theme-sepia');
+  if (done) {
+    // The import queue takes over the status bar once files are reported
+    if (!importRunning) hideImportProgress();
+    return;
+  }
+  
+  if (!importRunning) {
+    showImportProgress(`Scanning ${folder}… ${found} book${found === 1 ? '' : 's'} found`);
+  }
 }
 
 /**
- * Hide library view and show reader
+ * Import the books found in a library folder that aren't in the library yet
  */
-function hideLibrary() {
-  document.getElementById('libraryView').classList.add('hidden');
-  document.getElementById('backToLibraryBtn').classList.remove('hidden');
+function handleLibraryFolderFiles({ folder, files }) {
+  const knownPaths = new Set(library.filter(b => !b.missing).map(b => b.path));
+  const newFiles = files.filter(file => !knownPaths.has(file));
   
-  // Apply user's selected theme when opening a book
-  applyThemeToUI(settingsManager.get('theme'));
+  if (newFiles.length > 0) {
+    console.log(`Importing ${newFiles.length} new books from ${folder}`);
+    queueBookImports(newFiles);
+  }
 }
 
 /**
- * Back to library from reader
+ * Keep the library in step with files added to or removed from a library folder
  */
-function backToLibrary() {
-  // Clean up current book
-  if (rendition) {
-    rendition.destroy();
-    rendition = null;
-    book = null;
+async function handleLibraryFolderChange({ type, path }) {
+  if (type === 'added') {
+    queueBookImports([path]);
+    return;
   }
   
-  // Clear search and highlights
-  clearSearch();
-  highlights = [];
+  // A removed path may be a single book or a whole folder of books
+  let changed = false;
+  library.forEach(book => {
+    const inRemovedPath = book.path === path ||
+      book.path.startsWith(path + '\\') || book.path.startsWith(path + '/');
+    if (inRemovedPath && !book.missing && book.path !== currentBookPath) {
+      book.missing = true;
+      changed = true;
+    }
+  });
   
-  // Show library
-  showLibrary();
-  renderLibrary();
+  if (changed) {
+    await saveLibrary();
+    renderLibrary();
+  }
+}
+
+/**
+ * Render the list of library folders in the settings panel
+ */
+function renderWatchedFolders() {
+  const list = document.getElementById('watchedFoldersList');
+  const folders = settingsManager.get('watchedFolders') || [];
+  list.innerHTML = '';
+  
+  if (folders.length === 0) {
+    const empty = document.createElement('div');
+    empty.className = 'watched-folders-empty';
+    empty.textContent = 'No library folders';
+    list.appendChild(empty);
+    return;
+  }
+  
+  folders.forEach(folder => {
+    const item = document.createElement('div');
+    item.className = 'watched-folder-item';
+    
+    const pathSpan = document.createElement('span');
+    pathSpan.className = 'watched-folder-path';
+    pathSpan.textContent = folder;
+    pathSpan.title = folder;
+    
+    const removeBtn = document.createElement('button');
+    removeBtn.className = 'btn-reset-inline';
+    removeBtn.textContent = '✕';
+    removeBtn.title = 'Stop watching this folder';
+    removeBtn.addEventListener('click', () => removeWatchedFolder(folder));
+    
+    item.appendChild(pathSpan);
+    item.appendChild(removeBtn);
+    list.appendChild(item);
+  });
+}
+
+/**
+ * Add a library folder and import the books in it
+ */
+async function addWatchedFolder() {
+  const folder = await window.electronAPI.selectFolderDialog('Choose a library folder');
+  if (!folder) return;
+  
+  const folders = settingsManager.get('watchedFolders') || [];
+  if (folders.includes(folder)) return;
+  
+  settingsManager.set('watchedFolders', [...folders, folder]);
+  await settingsManager.save();
+  renderWatchedFolders();
+  startWatchingLibraryFolders();
+}
+
+/**
+ * Stop watching a library folder (its books stay in the library)
+ */
+async function removeWatchedFolder(folder) {
+  const folders = settingsManager.get('watchedFolders') || [];
+  settingsManager.set('watchedFolders', folders.filter(f => f !== folder));
+  await settingsManager.save();
+  renderWatchedFolders();
+  startWatchingLibraryFolders();
+}
+
+// ============================================
+// Reading Statistics
+// ============================================
+
+/**
+ * Format a number of seconds as e.g. '1 h 25 min' or '40 min'
+ */
+function formatDuration(seconds) {
+  const minutes = Math.round(seconds / 60);
+  if (minutes < 60) return `${minutes} min`;
+  const hours = Math.floor(minutes / 60);
+  return minutes % 60 ? `${hours} h ${minutes % 60} min` : `${hours} h`;
+}
+
+/**
+ * Show the reading statistics dialog
+ */
+function showStatsDialog() {
+  renderStatsSummary();
+  renderStatsChart();
+  renderStatsBooks();
+  document.getElementById('statsDialog').classList.remove('hidden');
+}
+
+/**
+ * Summary tiles: today, this week, streaks, speed and total time
+ */
+function renderStatsSummary() {
+  const today = readingTracker.getDailyTotals(1)[0];
+  const week = readingTracker.getWeeklyTotals(1)[0];
+  const streaks = readingTracker.getStreaks();
+  const speed = readingTracker.getAverageSpeed();
+  
+  const tiles = [
+    ['Today', formatDuration(today.seconds), `${today.pages} pages`],
+    ['This week', formatDuration(week.seconds), `${week.pages} pages`],
+    ['Current streak', `${streaks.current} day${streaks.current === 1 ? '' : 's'}`, `Longest: ${streaks.longest}`],
+    ['Average speed', speed ? `${speed.pagesPerHour} pages/h` : '—', speed ? `${speed.percentPerHour}% of a book/h` : 'Read a little more'],
+    ['Total', formatDuration(readingTracker.getTotalSeconds()), `${readingTracker.stats.sessions.length} sessions`]
+  ];
+  
+  const summary = document.getElementById('statsSummary');
+  summary.innerHTML = '';
+  tiles.forEach(([label, value, detail]) => {
+    const tile = document.createElement('div');
+    tile.className = 'stats-tile';
+    
+    const labelEl = document.createElement('div');
+    labelEl.className = 'stats-tile-label';
+    labelEl.textContent = label;
+    
+    const valueEl = document.createElement('div');
+    valueEl.className = 'stats-tile-value';
+    valueEl.textContent = value;
+    
+    const detailEl = document.createElement('div');
+    detailEl.className = 'stats-tile-detail';
+    detailEl.textContent = detail;
+    
+    tile.append(labelEl, valueEl, detailEl);
+    summary.appendChild(tile);
+  });
+}
+
+/**
+ * Bar chart of time read per day (last 14 days) or per week (last 12 weeks)
+ */
+function renderStatsChart() {
+  const weekly = document.getElementById('statsChartRange').value === 'weekly';
+  const totals = weekly ? readingTracker.getWeeklyTotals(12) : readingTracker.getDailyTotals(14);
+  const max = Math.max(...totals.map(t => t.seconds), 1);
+  
+  const chart = document.getElementById('statsChart');
+  chart.innerHTML = '';
+  totals.forEach(total => {
+    const column = document.createElement('div');
+    column.className = 'stats-chart-column';
+    const dateLabel = weekly
+      ? `Week of ${total.date.toLocaleDateString(undefined, { month: 'short', day: 'numeric' })}`
+      : total.date.toLocaleDateString(undefined, { weekday: 'long', month: 'short', day: 'numeric' });
+    column.title = `${dateLabel}: ${formatDuration(total.seconds)}, ${total.pages} pages`;
+    
+    const bar = document.createElement('div');
+    bar.className = 'stats-chart-bar';
+    bar.style.height = `${(total.seconds / max) * 100}%`;
+    
+    const label = document.createElement('div');
+    label.className = 'stats-chart-label';
+    label.textContent = weekly
+      ? total.date.toLocaleDateString(undefined, { month: 'numeric', day: 'numeric' })
+      : total.date.toLocaleDateString(undefined, { weekday: 'narrow' });
+    
+    column.append(bar, label);
+    chart.appendChild(column);
+  });
+}
+
+/**
+ * Time read per book, most read first
+ */
+function renderStatsBooks() {
+  const list = document.getElementById('statsBooks');
+  list.innerHTML = '';
+  
+  const entries = Object.entries(readingTracker.stats.books)
+    .filter(([, totals]) => totals.seconds >= 60)
+    .sort(([, a], [, b]) => b.seconds - a.seconds);
+  
+  if (entries.length === 0) {
+    list.innerHTML = '<div class="stats-empty">No reading time recorded yet. Time spent reading is tracked automatically.</div>';
+    return;
+  }
+  
+  entries.forEach(([bookId, totals]) => {
+    const book = library.find(b => b.id === bookId);
+    const row = document.createElement('div');
+    row.className = 'stats-book-row';
+    
+    const title = document.createElement('span');
+    title.className = 'stats-book-title';
+    title.textContent = book ? book.title : 'Removed book';
+    title.title = book ? `${book.title} - ${book.author}` : '';
+    
+    const detail = document.createElement('span');
+    detail.className = 'stats-book-detail';
+    const sessions = `${totals.sessions} session${totals.sessions === 1 ? '' : 's'}`;
+    detail.textContent = `${formatDuration(totals.seconds)} · ${sessions} · ${totals.pages} pages`;
+    
+    row.append(title, detail);
+    list.appendChild(row);
+  });
 }
 
 // ============================================
@@ -2744,6 +7026,9 @@ function backToLibrary() {
 
 // Clean up on window close
 window.addEventListener('beforeunload', () => {
+  if (readingTracker) {
+    readingTracker.endSession();
+  }
   if (rendition) {
     rendition.destroy();
   }
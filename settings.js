@@ -16,6 +16,12 @@ class SettingsManager {
       textAlignment: 'justify', // left, right, justify
       mouseWheelNav: true, // Enable mouse wheel page navigation
       pageAnimation: true, // Enable page turn animations
+      statusBarFields: ['page', 'percent'], // percent, page, location, chapter, chapterPagesLeft, chapterTimeLeft, bookTimeLeft
+      watchedFolders: [], // Library folders scanned and watched for new books
+      librarySort: 'added', // added, opened, title, author, progress
+      libraryTypeFilter: 'all', // all, epub, pdf
+      libraryStatusFilter: 'all', // all, unread, reading, finished
+      libraryShelf: null, // Sidebar selection ({ type, value }), null for all books
       lastBookPath: null,
       lastLocation: null
     };
@@ -76,7 +82,13 @@ class SettingsManager {
    * Reset to default settings
    */
   reset() {
-    this.settings = { ...this.defaults };
+    // Library folders and library view choices are not reading preferences,
+    // so they survive a reset
+    const kept = {};
+    ['watchedFolders', 'librarySort', 'libraryTypeFilter', 'libraryStatusFilter', 'libraryShelf'].forEach(key => {
+      kept[key] = this.settings[key];
+    });
+    this.settings = { ...this.defaults, ...kept };
   }
 
   /**
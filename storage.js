@@ -0,0 +1,167 @@
+// Crash-safe JSON storage for LapBook
+// Writes go to a temp file that is renamed over the live file, and the
+// previous versions are kept as rotating .bak copies for recovery
+const fs = require('fs');
+const path = require('path');
+
+const MAX_BACKUPS = 3; // library.json.bak, library.json.bak.1, library.json.bak.2
+const MIN_BACKUP_AGE_MS = 10 * 60 * 1000; // Saves closer together than this share a backup
+
+/**
+ * Get the path of a backup copy
+ * @param {string} filePath - Live file path
+ * @param {number} index - 0 for the newest backup
+ */
+function getBackupPath(filePath, index) {
+  return index === 0 ? `${filePath}.bak` : `${filePath}.bak.${index}`;
+}
+
+/**
+ * Shift existing backups down one slot and copy the live file into the newest slot
+ * Skipped while the newest backup is recent, so a burst of saves doesn't push
+ * every older backup out within seconds.
+ */
+function rotateBackups(filePath) {
+  if (!fs.existsSync(filePath)) return;
+
+  const newest = getBackupPath(filePath, 0);
+  if (fs.existsSync(newest) && Date.now() - fs.statSync(newest).mtimeMs < MIN_BACKUP_AGE_MS) return;
+
+  for (let i = MAX_BACKUPS - 1; i > 0; i--) {
+    const from = getBackupPath(filePath, i - 1);
+    if (fs.existsSync(from)) {
+      fs.renameSync(from, getBackupPath(filePath, i));
+    }
+  }
+
+  // Date the copy now - some platforms keep the original's modification time
+  fs.copyFileSync(filePath, newest);
+  const now = new Date();
+  fs.utimesSync(newest, now, now);
+}
+
+/**
+ * Write data to a file atomically
+ * The data is written and flushed to a temp file first, so a crash mid-write
+ * never leaves a truncated live file behind
+ * @param {string} filePath - Destination path
+ * @param {string|Buffer} data - File contents
+ * @param {Object} options - { encoding, backup }
+ */
+function writeFileAtomic(filePath, data, options = {}) {
+  const { encoding = 'utf8', backup = true } = options;
+  const tempPath = `${filePath}.tmp`;
+
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+
+  // Write and flush the temp file
+  const fd = fs.openSync(tempPath, 'w');
+  try {
+    fs.writeSync(fd, typeof data === 'string' ? Buffer.from(data, encoding) : data);
+    fs.fsyncSync(fd);
+  } finally {
+    fs.closeSync(fd);
+  }
+
+  // Keep the previous version before replacing it
+  if (backup) {
+    try {
+      rotateBackups(filePath);
+    } catch (error) {
+      console.warn('[Storage] Could not rotate backups for', filePath, error);
+    }
+  }
+
+  try {
+    fs.renameSync(tempPath, filePath);
+  } catch (error) {
+    // Rename can fail on Windows while another process (e.g. antivirus) holds the file
+    console.warn('[Storage] Rename failed, falling back to copy:', error.message);
+    fs.copyFileSync(tempPath, filePath);
+    fs.unlinkSync(tempPath);
+  }
+}
+
+/**
+ * Serialize and write JSON atomically
+ * @param {string} filePath - Destination path
+ * @param {*} value - Value to serialize
+ */
+function writeJsonAtomic(filePath, value) {
+  writeFileAtomic(filePath, JSON.stringify(value, null, 2));
+}
+
+/**
+ * Read and parse a JSON file, throwing if it is missing or invalid
+ */
+function parseJsonFile(filePath) {
+  const data = fs.readFileSync(filePath, 'utf8');
+  if (!data.trim()) {
+    throw new Error('File is empty');
+  }
+  return JSON.parse(data);
+}
+
+/**
+ * Read a JSON file, falling back to the newest valid backup if it is damaged
+ * A damaged live file is moved aside (.corrupt-<timestamp>) and replaced by the
+ * recovered backup so the next load starts from good data
+ * @param {string} filePath - File to read
+ * @param {*} defaultValue - Returned when neither the file nor a backup exists
+ * @returns {Object} { data, recovered, backupPath, lost, error }
+ */
+function readJsonWithRecovery(filePath, defaultValue) {
+  let readError = null;
+
+  if (fs.existsSync(filePath)) {
+    try {
+      return { data: parseJsonFile(filePath), recovered: false };
+    } catch (error) {
+      readError = error;
+      console.error('[Storage] Could not read', filePath, error.message);
+    }
+  }
+
+  // Look for the newest backup that still parses
+  for (let i = 0; i < MAX_BACKUPS; i++) {
+    const backupPath = getBackupPath(filePath, i);
+    if (!fs.existsSync(backupPath)) continue;
+
+    try {
+      const data = parseJsonFile(backupPath);
+      if (readError) {
+        moveCorruptFile(filePath);
+      }
+      writeFileAtomic(filePath, JSON.stringify(data, null, 2), { backup: false });
+      console.warn('[Storage] Recovered', filePath, 'from', backupPath);
+      return { data, recovered: true, backupPath, error: readError };
+    } catch (error) {
+      console.error('[Storage] Backup is also unreadable:', backupPath, error.message);
+    }
+  }
+
+  if (readError) {
+    // Nothing usable left - keep the damaged file for manual inspection
+    moveCorruptFile(filePath);
+    return { data: defaultValue, recovered: false, lost: true, error: readError };
+  }
+
+  return { data: defaultValue, recovered: false };
+}
+
+/**
+ * Move a damaged file out of the way without deleting it
+ */
+function moveCorruptFile(filePath) {
+  try {
+    fs.renameSync(filePath, `${filePath}.corrupt-${Date.now()}`);
+  } catch (error) {
+    console.error('[Storage] Could not move damaged file aside:', error);
+  }
+}
+
+module.exports = {
+  writeFileAtomic,
+  writeJsonAtomic,
+  readJsonWithRecovery
+};